@@ -1,19 +1,134 @@
-// Volleyball Lineup App (6 quad zones, shared mesh; each zone = 4 vertices)
+// Volleyball Lineup App (quad zones per court format, shared mesh; each zone = 4 vertices)
 const STORAGE_KEY = "volley_lineup_v11";
+const HISTORY_KEY = "volley_lineup_history_v1";
+const HISTORY_LIMIT = 30;
+const SYNC_KEY = "volley_lineup_sync_v1";
+const SNAPSHOT_KEY = "volley_lineup_snapshots_v1";
+const SCHEMA_VERSION = 12; // version of exported files, see MIGRATIONS
+const EXPORT_FORMAT = "volley-lineup";
 const uid = () => (crypto.randomUUID ? crypto.randomUUID() : String(Math.random()).slice(2) + Date.now());
 
-const POS = {
-  1: "Front Left",
-  2: "Front Middle (Setter)",
-  3: "Front Right",
-  4: "Right Bench",
-  5: "Back Right",
-  6: "Back Middle",
-  7: "Back Left",
-  8: "Left Bench",
+/**
+ * Court formats
+ * - grid: zone numbers row by row (net first), each row left -> right.
+ * - ring: clockwise rotation path; "left"/"right" are the bench queues.
+ * - benches: the zone numbers shown on the bench panels.
+ * - colsX / rowsY: default positions of the mesh split lines.
+ * - overlap: false where there is no overlap rule at the serve (beach).
+ * Zone numbers follow the ring, so 6v6 keeps the house numbering (1-3 front, 5-7 back, 4/8 benches).
+ */
+const FORMATS = {
+  "6v6": {
+    label: "6v6 indoor",
+    grid: [[1, 2, 3], [7, 6, 5]],
+    ring: [1, 2, 3, "right", 5, 6, 7, "left"],
+    benches: { right: 4, left: 8 },
+    colsX: [360, 640],
+    rowsY: [760],
+  },
+  "4v4": {
+    label: "4v4 youth",
+    grid: [[1, 2], [5, 4]],
+    ring: [1, 2, "right", 4, 5, "left"],
+    benches: { right: 3, left: 6 },
+    colsX: [500],
+    rowsY: [760],
+  },
+  "9p": {
+    label: "9-player",
+    grid: [[1, 2, 3], [7, 6, 5], [8, 9, 10]],
+    ring: [1, 2, 3, "right", 5, 6, 7, 8, 9, 10, "left"],
+    benches: { right: 4, left: 11 },
+    colsX: [360, 640],
+    rowsY: [593, 967],
+  },
+  "2v2": {
+    label: "Beach 2v2",
+    grid: [[1, 2]],
+    ring: [1, 2],
+    benches: { right: 3, left: 4 },
+    colsX: [500],
+    rowsY: [],
+    overlap: false,
+  },
+};
+const DEFAULT_FORMAT = "6v6";
+const FORMAT_KEYS = Object.keys(FORMATS);
+
+function formatFor(team) {
+  return FORMATS[team?.format] || FORMATS[DEFAULT_FORMAT];
+}
+function courtZones(fmt) {
+  return fmt.grid.flat().sort((a, b) => a - b);
+}
+function frontZones(fmt) {
+  return fmt.grid[0];
+}
+function backZones(fmt) {
+  return fmt.grid.slice(1).flat();
+}
+function benchRotates(fmt) {
+  return fmt.ring.includes("left") || fmt.ring.includes("right");
+}
+function zoneName(fmt, pos) {
+  const r = fmt.grid.findIndex(row => row.includes(pos));
+  if (r < 0) return "";
+  const c = fmt.grid[r].indexOf(pos);
+  const rows = { 1: [""], 2: ["Front", "Back"], 3: ["Front", "Middle", "Back"] }[fmt.grid.length];
+  const cols = { 2: ["Left", "Right"], 3: ["Left", "Middle", "Right"] }[fmt.grid[r].length];
+  if (rows[r] === "Middle" && cols[c] === "Middle") return "Center";
+  return `${rows[r]} ${cols[c]}`.trim();
+}
+
+/**
+ * Zone numbering shown to the user. "house" is the app's own 1-3 front / 5-7 back
+ * scheme (and the keys stored in rot.positions); "fivb" counts the court the
+ * standard way, 1 = back right (server), then against the rotation ring.
+ */
+const NUMBERINGS = {
+  house: "House (1–3 front, 5–7 back)",
+  fivb: "Standard FIVB (1 = server)",
 };
 
-const COURT_POS = [1, 2, 3, 5, 6, 7];
+function numberingFor(team) {
+  return NUMBERINGS[team?.settings?.numbering] ? team.settings.numbering : "house";
+}
+function standardNumbers(fmt) {
+  const back = fmt.grid[fmt.grid.length - 1];
+  const ring = fmt.ring.filter(slot => typeof slot === "number");
+  const start = ring.indexOf(back[back.length - 1]);
+  const map = {};
+  for (let i = 0; i < ring.length; i++) map[ring[(start - i + ring.length) % ring.length]] = i + 1;
+  return map;
+}
+function zoneNumber(team, pos) {
+  return numberingFor(team) === "fivb" ? standardNumbers(formatFor(team))[pos] : pos;
+}
+function benchNumber(team, side) {
+  return numberingFor(team) === "fivb" ? "B" : formatFor(team).benches[side];
+}
+// Court zones in the order the active numbering counts them.
+function displayZones(team) {
+  const fmt = formatFor(team);
+  return courtZones(fmt).sort((a, b) => zoneNumber(team, a) - zoneNumber(team, b));
+}
+
+function benchName(side) {
+  return side === "left" ? "Left Bench" : "Right Bench";
+}
+
+const MAX_LIBEROS = 2;
+const DEFAULT_SUB_LIMIT = 6;
+
+const ROLES = {
+  S: "Setter",
+  OH: "Outside Hitter",
+  MB: "Middle Blocker",
+  OPP: "Opposite",
+  L: "Libero",
+  DS: "Defensive Specialist",
+};
+const ROLE_KEYS = Object.keys(ROLES);
 
 const VB = { w: 1000, h: 1400 };
 const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
@@ -24,6 +139,8 @@ const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
  * - Accept both:
  *   - ?s=<payload>
  *   - #s=<payload>   (hash doesn't hit server logs & is a little nicer on GH pages)
+ * - Opening a link never touches local teams by itself: it shows a preview and the
+ *   recipient picks "new team", "add as rotation" or "view only".
  */
 function tryLoadSharedState() {
   const params = new URLSearchParams(location.search);
@@ -36,79 +153,164 @@ function tryLoadSharedState() {
   const shared = hashShared || queryShared;
   if (!shared) return false;
 
-  try {
-    const data = decodeState(shared);
-
-    state = {
-      teams: [{
-        id: uid(),
-        name: data.team.name,
-        players: data.team.players,
-        rotations: [{
-          id: uid(),
-          name: data.rotation.name,
-          positions: data.rotation.positions,
-          leftBench: data.rotation.leftBench,
-          rightBench: data.rotation.rightBench,
-          mesh: data.rotation.mesh,
-        }]
-      }],
-      currentTeamId: null,
-      currentRotationId: null,
-      ui: { editLayout: false }
-    };
-
-    state.currentTeamId = state.teams[0].id;
-    state.currentRotationId = state.teams[0].rotations[0].id;
-
-    saveState();
-
-    // Clean the URL
-    history.replaceState({}, "", location.pathname);
+  // Clean the URL either way so a reload doesn't re-open the preview
+  history.replaceState({}, "", location.pathname);
 
+  try {
+    const data = migrateImport(decodeState(shared));
+    pendingShare = data.teams[0];
+    openLinkPreview(data.current || 0);
     return true;
   } catch (e) {
     console.error("Invalid share payload", e);
+    setStatus("Invalid share link");
     return false;
   }
 }
 
+/** Best local match for a shared team: most shared player IDs, then same name. */
+function findMatchingTeam(shared) {
+  let best = null, bestScore = 0;
+  state.teams.forEach(t => {
+    const ids = new Set(t.players.map(p => p.id));
+    const score = shared.players.filter(p => ids.has(p.id)).length * 2 + (t.name === shared.name ? 1 : 0);
+    if (score > bestScore) { best = t; bestScore = score; }
+  });
+  return best;
+}
+
+/**
+ * Copy a shared rotation into an existing team.
+ * Players are matched by ID, then by jersey number; unknown players join the roster.
+ */
+function addSharedRotation(team, shared, sharedRot) {
+  const idMap = {};
+  shared.players.forEach(sp => {
+    const local = findPlayer(team, sp.id) || team.players.find(p => p.number === sp.number);
+    if (local) { idMap[sp.id] = local.id; return; }
+
+    const p = { ...sp, id: uid() };
+    team.players.push(p);
+    idMap[sp.id] = p.id;
+  });
+
+  const mapIds = (arr) => (arr || []).map(pid => idMap[pid]).filter(Boolean);
+  const positions = {};
+  for (const [k, pid] of Object.entries(sharedRot.positions || {})) positions[k] = idMap[pid] || null;
+
+  const rot = {
+    id: uid(),
+    name: sharedRot.name,
+    positions,
+    leftBench: mapIds(sharedRot.leftBench),
+    rightBench: mapIds(sharedRot.rightBench),
+    mesh: JSON.parse(JSON.stringify(sharedRot.mesh || defaultMesh(formatFor(team)))),
+    drawings: JSON.parse(JSON.stringify(sharedRot.drawings || [])),
+  };
+
+  team.rotations.forEach(r => normalizePlayerMembership(team, r));
+  migrateAndFixRotation(team, rot);
+  team.rotations.push(rot);
+  return rot;
+}
+
+// While viewing a shared link read-only, the real state is parked here and nothing is saved.
+function enterSharedView(team, rotationId = team.rotations[0].id) {
+  stopPlayback();
+  sharedView = { ownState: state };
+  state = {
+    teams: [team],
+    currentTeamId: team.id,
+    currentRotationId: rotationId,
+    ui: { editLayout: false },
+  };
+  render();
+  setStatus("View only");
+}
+
+function exitSharedView() {
+  if (!sharedView) return;
+  stopPlayback();
+  state = sharedView.ownState;
+  sharedView = null;
+  render();
+  setStatus("Saved");
+}
+
 function initialsFor(name) {
   const parts = String(name || "").trim().split(/\s+/).filter(Boolean);
   if (!parts.length) return "?";
   if (parts.length === 1) return parts[0].slice(0, 2).toUpperCase();
   return (parts[0][0] + parts[parts.length - 1][0]).toUpperCase();
 }
+function hasRole(player, role) {
+  return !!player?.roles?.includes(role);
+}
+function roleTagsFor(player) {
+  return ROLE_KEYS.filter(r => hasRole(player, r));
+}
+
 function tokenLabelFor(name) {
   const clean = String(name || "").trim();
   if (!clean) return "?";
   if (clean.length > 10) return initialsFor(clean);
   return clean;
 }
+const HANDS = { R: "Right", L: "Left" };
+const HAND_KEYS = Object.keys(HANDS);
+
+// Tokens use the nickname when there is one
+function tokenNameFor(player) {
+  return tokenLabelFor(player.nickname || player.name);
+}
+// What the badge on a token shows: "number" or "photo" (falls back to the number)
+function tokenFaceFor(team) {
+  return team?.settings?.tokenFace === "photo" ? "photo" : "number";
+}
 
 // ------------------------------------------------------------
 // QUAD SHARED MESH
 // ------------------------------------------------------------
-function defaultMesh() {
-  return {
-    pts: {
-      TL: { x: 60, y: 220 },
-      TR: { x: 940, y: 220 },
-      BL: { x: 60, y: 1340 },
-      BR: { x: 940, y: 1340 },
-      S1T: { x: 360, y: 220 },
-      S1B: { x: 360, y: 1340 },
-      S2T: { x: 640, y: 220 },
-      S2B: { x: 640, y: 1340 },
-      HL: { x: 60, y: 760 },
-      HR: { x: 940, y: 760 },
-    },
+// Column split i (1-based) is S{i}T/S{i}B; row split j is HL/HR for j = 1, H{j}L/H{j}R after that.
+const rowKey = (j, side) => (j === 1 ? `H${side}` : `H${j}${side}`);
+
+function defaultMesh(fmt = FORMATS[DEFAULT_FORMAT]) {
+  const pts = {
+    TL: { x: 60, y: 220 },
+    TR: { x: 940, y: 220 },
+    BL: { x: 60, y: 1340 },
+    BR: { x: 940, y: 1340 },
   };
+  fmt.colsX.forEach((x, i) => {
+    pts[`S${i + 1}T`] = { x, y: 220 };
+    pts[`S${i + 1}B`] = { x, y: 1340 };
+  });
+  fmt.rowsY.forEach((y, j) => {
+    pts[rowKey(j + 1, "L")] = { x: 60, y };
+    pts[rowKey(j + 1, "R")] = { x: 940, y };
+  });
+  return { pts };
+}
+
+function meshShape(mesh) {
+  const P = mesh.pts;
+  let cols = 1, rows = 1;
+  while (P[`S${cols}T`]) cols++;
+  while (P[rowKey(rows, "L")]) rows++;
+  return { cols, rows };
+}
+
+function meshFitsFormat(mesh, fmt) {
+  if (!mesh?.pts) return false;
+  const a = Object.keys(mesh.pts).sort().join();
+  const b = Object.keys(defaultMesh(fmt).pts).sort().join();
+  return a === b;
 }
 
 function clampMesh(mesh) {
   const P = mesh.pts;
   const L = 60, R = 940, T = 220, B = 1340;
+  const { cols, rows } = meshShape(mesh);
 
   for (const k of Object.keys(P)) {
     P[k].x = clamp(P[k].x, 0, VB.w);
@@ -120,23 +322,27 @@ function clampMesh(mesh) {
   P.BL.x = L; P.BL.y = B;
   P.BR.x = R; P.BR.y = B;
 
-  P.S1T.y = T;
-  P.S2T.y = T;
-  P.S1B.y = B;
-  P.S2B.y = B;
-
-  P.HL.x = L;
-  P.HR.x = R;
-
-  P.HL.y = clamp(P.HL.y, T + 220, B - 220);
-  P.HR.y = P.HL.y;
+  const rowGap = Math.min(220, (B - T) / rows / 2);
+  for (let j = 1; j < rows; j++) {
+    const HL = P[rowKey(j, "L")], HR = P[rowKey(j, "R")];
+    const lo = j === 1 ? T + rowGap : P[rowKey(j - 1, "L")].y + rowGap;
+    const hi = j === rows - 1 ? B - rowGap : P[rowKey(j + 1, "L")].y - rowGap;
+    HL.x = L;
+    HR.x = R;
+    HL.y = clamp(HL.y, lo, hi);
+    HR.y = HL.y;
+  }
 
   const minGap = 90;
-  P.S1T.x = clamp(P.S1T.x, L + 180, P.S2T.x - minGap);
-  P.S2T.x = clamp(P.S2T.x, P.S1T.x + minGap, R - 180);
-
-  P.S1B.x = clamp(P.S1B.x, L + 180, P.S2B.x - minGap);
-  P.S2B.x = clamp(P.S2B.x, P.S1B.x + minGap, R - 180);
+  for (const end of ["T", "B"]) {
+    for (let i = 1; i < cols; i++) {
+      const S = P[`S${i}${end}`];
+      const lo = i === 1 ? L + 180 : P[`S${i - 1}${end}`].x + minGap;
+      const hi = i === cols - 1 ? R - 180 : P[`S${i + 1}${end}`].x - minGap;
+      S.y = end === "T" ? T : B;
+      S.x = clamp(S.x, lo, hi);
+    }
+  }
 
   return mesh;
 }
@@ -158,41 +364,45 @@ function lineIntersection(A, B, C, D) {
   return { x: px, y: py };
 }
 
-function derivedIntersections(mesh) {
+/**
+ * Grid of mesh vertices: g[r][c] for r = 0..rows (net -> baseline), c = 0..cols (left -> right).
+ * Interior vertices are where a column split crosses a row split.
+ */
+function meshGrid(mesh) {
   const P = mesh.pts;
   const L = 60, R = 940;
-
-  const H1 = P.HL;
-  const H2 = P.HR;
-
-  let I1 = lineIntersection(P.S1T, P.S1B, H1, H2);
-  let I2 = lineIntersection(P.S2T, P.S2B, H1, H2);
-
-  if (!I1) I1 = { x: (P.S1T.x + P.S1B.x) / 2, y: P.HL.y };
-  if (!I2) I2 = { x: (P.S2T.x + P.S2B.x) / 2, y: P.HL.y };
-
-  I1.x = clamp(I1.x, L, R);
-  I2.x = clamp(I2.x, L, R);
-
-  const minGap = 40;
-  if (I2.x < I1.x + minGap) I2.x = I1.x + minGap;
-
-  return { I1, I2 };
+  const { cols, rows } = meshShape(mesh);
+  const g = [];
+
+  for (let r = 0; r <= rows; r++) {
+    const row = [];
+    for (let c = 0; c <= cols; c++) {
+      if (r === 0) row.push(c === 0 ? P.TL : c === cols ? P.TR : P[`S${c}T`]);
+      else if (r === rows) row.push(c === 0 ? P.BL : c === cols ? P.BR : P[`S${c}B`]);
+      else if (c === 0) row.push(P[rowKey(r, "L")]);
+      else if (c === cols) row.push(P[rowKey(r, "R")]);
+      else {
+        const ST = P[`S${c}T`], SB = P[`S${c}B`];
+        const H1 = P[rowKey(r, "L")], H2 = P[rowKey(r, "R")];
+        const I = lineIntersection(ST, SB, H1, H2) || { x: (ST.x + SB.x) / 2, y: H1.y };
+        I.x = clamp(I.x, L, R);
+
+        const minGap = 40;
+        if (c > 1 && I.x < row[c - 1].x + minGap) I.x = row[c - 1].x + minGap;
+        row.push(I);
+      }
+    }
+    g.push(row);
+  }
+  return g;
 }
 
-function quadForPos(mesh, pos) {
-  const P = mesh.pts;
-  const { I1, I2 } = derivedIntersections(mesh);
-
-  switch (pos) {
-    case 1: return [P.TL, P.S1T, I1, P.HL];
-    case 2: return [P.S1T, P.S2T, I2, I1];
-    case 3: return [P.S2T, P.TR, P.HR, I2];
-    case 7: return [P.HL, I1, P.S1B, P.BL];
-    case 6: return [I1, I2, P.S2B, P.S1B];
-    case 5: return [I2, P.HR, P.BR, P.S2B];
-    default: return [];
-  }
+function quadForPos(mesh, pos, fmt = FORMATS[DEFAULT_FORMAT]) {
+  const r = fmt.grid.findIndex(row => row.includes(pos));
+  if (r < 0) return [];
+  const c = fmt.grid[r].indexOf(pos);
+  const g = meshGrid(mesh);
+  return [g[r][c], g[r][c + 1], g[r + 1][c + 1], g[r + 1][c]];
 }
 
 function centroid(points) {
@@ -217,28 +427,28 @@ function pointInPoly(pt, poly) {
 }
 
 // --------- Data model ---------
-function makeNewTeam(name = "Team A") {
+function makeNewTeam(name = "Team A", format = DEFAULT_FORMAT) {
   const players = Array.from({ length: 12 }).map((_, i) => ({
     id: uid(),
     number: i + 1,
     name: String(i + 1),
   }));
-  const rotation = makeNewRotation("Rotation 1", players);
-  return { id: uid(), name, players, rotations: [rotation] };
+  const rotation = makeNewRotation("Rotation 1", players, FORMATS[format]);
+  return { id: uid(), name, format, players, rotations: [rotation] };
 }
 
-function makeNewRotation(name, players) {
+function defaultPositions(ids, fmt) {
+  const positions = {};
+  courtZones(fmt).forEach((pos, i) => { positions[String(pos)] = ids[i] || null; });
+  return positions;
+}
+
+function makeNewRotation(name, players, fmt = FORMATS[DEFAULT_FORMAT]) {
   const ids = players.map(p => p.id);
-  const positions = {
-    "1": ids[0] || null,
-    "2": ids[1] || null,
-    "3": ids[2] || null,
-    "5": ids[3] || null,
-    "6": ids[4] || null,
-    "7": ids[5] || null,
-  };
+  const zones = courtZones(fmt);
+  const positions = defaultPositions(ids, fmt);
 
-  const remaining = ids.slice(6);
+  const remaining = ids.slice(zones.length);
   const leftBench = [];
   const rightBench = [];
 
@@ -254,13 +464,12 @@ function makeNewRotation(name, players) {
     positions,
     leftBench,
     rightBench,
-    mesh: clampMesh(defaultMesh()),
+    mesh: clampMesh(defaultMesh(fmt)),
   };
 }
 
-function loadState() {
+function loadState(raw) {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return null;
     const s = JSON.parse(raw);
     if (!s?.teams?.length) return null;
@@ -270,19 +479,124 @@ function loadState() {
   }
 }
 
-let state = loadState() || {
-  teams: [makeNewTeam("Team A")],
-  currentTeamId: null,
-  currentRotationId: null,
-  ui: { editLayout: false },
-};
+function defaultState() {
+  return {
+    teams: [makeNewTeam("Team A")],
+    currentTeamId: null,
+    currentRotationId: null,
+    ui: { editLayout: false },
+  };
+}
+
+// Replaced by the stored state once bootStorage() has read it
+let state = defaultState();
 
-if (!state.currentTeamId) state.currentTeamId = state.teams[0].id;
-if (!state.currentRotationId) state.currentRotationId = state.teams[0].rotations[0].id;
+/**
+ * Undo / redo
+ * - Every saveState() whose teams differ from the last saved ones pushes a patch: the
+ *   previous JSON of only the teams that changed (null for a team that didn't exist yet),
+ *   plus the team order and selection. A step costs one team, not a copy of everything.
+ * - Selection-only changes (switching team/rotation, edit toggle) are not history steps.
+ * - Stacks are persisted next to the state so they survive a reload.
+ */
+function isHistoryPatch(p) {
+  return !!p && typeof p.teams === "object" && Array.isArray(p.order);
+}
+
+function loadHistory(raw = null) {
+  try {
+    const h = JSON.parse(raw || "null");
+    // Steps saved as whole copies of every team (older builds) are dropped
+    if (h && Array.isArray(h.undo) && Array.isArray(h.redo)) {
+      return { undo: h.undo.filter(isHistoryPatch), redo: h.redo.filter(isHistoryPatch) };
+    }
+  } catch {
+    // fall through to an empty history
+  }
+  return { undo: [], redo: [] };
+}
+
+let undoHistory = loadHistory();
+let historyBase = null; // the teams as last saved, see historySnapshot()
+let syncMeta = loadSyncMeta(); // { deviceId, clock, entities: { key: { t, dev, h } }, url, lastSyncAt }
+
+function historySnapshot() {
+  return {
+    teams: new Map(state.teams.map(t => [t.id, JSON.stringify(t)])),
+    order: state.teams.map(t => t.id),
+    currentTeamId: state.currentTeamId,
+    currentRotationId: state.currentRotationId,
+  };
+}
+
+// The snapshot's version of the given teams, as a patch
+function historyPatch(snap, ids) {
+  const teams = {};
+  ids.forEach(id => { teams[id] = snap.teams.get(id) ?? null; });
+  return { teams, order: snap.order, currentTeamId: snap.currentTeamId, currentRotationId: snap.currentRotationId };
+}
+
+function recordHistory() {
+  const prev = historyBase;
+  historyBase = historySnapshot();
+  if (!prev) return;
+
+  const ids = [...new Set([...prev.teams.keys(), ...historyBase.teams.keys()])]
+    .filter(id => prev.teams.get(id) !== historyBase.teams.get(id));
+  if (!ids.length && prev.order.join() === historyBase.order.join()) return;
+
+  undoHistory.undo.push(historyPatch(prev, ids));
+  if (undoHistory.undo.length > HISTORY_LIMIT) undoHistory.undo.shift();
+  undoHistory.redo = [];
+}
+
+// Puts the patch's teams back and returns the patch that reverses it
+function applyHistoryPatch(patch) {
+  const inverse = historyPatch(historySnapshot(), Object.keys(patch.teams));
+  const byId = new Map(state.teams.map(t => [t.id, t]));
+  Object.entries(patch.teams).forEach(([id, json]) => {
+    if (json) byId.set(id, JSON.parse(json));
+    else byId.delete(id);
+  });
+
+  state.teams = patch.order.map(id => byId.get(id)).filter(Boolean);
+  state.currentTeamId = patch.currentTeamId;
+  state.currentRotationId = patch.currentRotationId;
+  historyBase = historySnapshot();
+  writeState();
+  return inverse;
+}
+
+function undo() {
+  if (drag || editDrag || sharedView || playback) return;
+  const patch = undoHistory.undo.pop();
+  if (!patch) { setStatus("Nothing to undo"); return; }
+  undoHistory.redo.push(applyHistoryPatch(patch));
+  render();
+  setStatus("Undone");
+}
+
+function redo() {
+  if (drag || editDrag || sharedView || playback) return;
+  const patch = undoHistory.redo.pop();
+  if (!patch) { setStatus("Nothing to redo"); return; }
+  undoHistory.undo.push(applyHistoryPatch(patch));
+  render();
+  setStatus("Redone");
+}
+
+function writeState() {
+  if (sharedView || playback || !storage.ready) return;
+  trackSyncChanges();
+  scheduleFlush();
+}
 
 function saveState() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-  setStatus("Saved");
+  if (sharedView) { setStatus("View only"); return; }
+  if (playback) { setStatus("Playback • not saved"); return; }
+  recordHistory();
+  writeState();
+  setStatus(storage.ready ? "Saved" : "Not saved");
 }
 
 function setStatus(text) {
@@ -294,24 +608,246 @@ function setStatus(text) {
   setStatus._t = setTimeout(() => (el.style.opacity = "0.7"), 900);
 }
 
+// Screen-reader announcement (polite live region); cleared first so repeats are read again
+function announce(text) {
+  if (!liveRegion) return;
+  liveRegion.textContent = "";
+  requestAnimationFrame(() => { liveRegion.textContent = text; });
+}
+
+// --------- Storage ---------
+/**
+ * State, undo history, sync metadata and snapshots are kept as JSON strings in a
+ * key/value backend: IndexedDB, or localStorage where IndexedDB isn't available.
+ * writeState() only marks them dirty; flushStorage() writes a moment later (or as
+ * soon as the page is hidden). Every SNAPSHOT_EVERY_MS a copy of the teams joins a
+ * rolling list of SNAPSHOT_LIMIT snapshots that can be restored from the Backup card.
+ */
+const DB_NAME = "volley-lineup";
+const DB_STORE = "kv";
+const SAVE_DELAY_MS = 400;
+const SAVE_RETRY_MS = 5000;
+const SNAPSHOT_EVERY_MS = 10 * 60 * 1000;
+const SNAPSHOT_LIMIT = 12;
+
+const storage = { backend: null, ready: false, dirty: false, timer: null, full: false, lastSnapshotAt: 0 };
+
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openIndexedDbBackend() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) { reject(new Error("IndexedDB is not available")); return; }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const db = req.result;
+      resolve({
+        name: "indexeddb",
+        async get(keys) {
+          const tx = db.transaction(DB_STORE, "readonly");
+          const out = {};
+          keys.forEach(key => {
+            const r = tx.objectStore(DB_STORE).get(key);
+            r.onsuccess = () => { if (r.result !== undefined) out[key] = r.result; };
+          });
+          await idbDone(tx);
+          return out;
+        },
+        async put(entries) {
+          const tx = db.transaction(DB_STORE, "readwrite");
+          Object.entries(entries).forEach(([key, value]) => tx.objectStore(DB_STORE).put(value, key));
+          await idbDone(tx);
+        },
+      });
+    };
+  });
+}
+
+const localStorageBackend = {
+  name: "localStorage",
+  async get(keys) {
+    const out = {};
+    keys.forEach(key => {
+      const v = localStorage.getItem(key);
+      if (v !== null) out[key] = v;
+    });
+    return out;
+  },
+  async put(entries) {
+    Object.entries(entries).forEach(([key, value]) => localStorage.setItem(key, value));
+  },
+};
+
+function isQuotaError(e) {
+  return e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED" || e?.code === 22;
+}
+
+/** Pick the backend, move old localStorage data into IndexedDB, then load everything. */
+async function bootStorage() {
+  const keys = [STORAGE_KEY, HISTORY_KEY, SYNC_KEY, SNAPSHOT_KEY];
+  let data = {};
+  let moved = false;
+
+  try {
+    storage.backend = await openIndexedDbBackend();
+    data = await storage.backend.get(keys);
+    if (!data[STORAGE_KEY] && localStorage.getItem(STORAGE_KEY)) {
+      data = await localStorageBackend.get(keys);
+      await storage.backend.put(data);
+      keys.forEach(key => localStorage.removeItem(key));
+      moved = true;
+    }
+  } catch (e) {
+    console.error(e);
+    storage.backend = localStorageBackend;
+    data = await localStorageBackend.get(keys);
+  }
+
+  state = loadState(data[STORAGE_KEY]) || state;
+  undoHistory = loadHistory(data[HISTORY_KEY]);
+  syncMeta = loadSyncMeta(data[SYNC_KEY]);
+  storage.lastSnapshotAt = Math.max(0, ...loadSnapshots(data[SNAPSHOT_KEY]).map(snap => snap.at));
+  storage.ready = true;
+  if (moved) setStatus("Moved data to IndexedDB");
+}
+
+function loadSnapshots(raw) {
+  try {
+    const list = JSON.parse(raw || "[]");
+    return Array.isArray(list) ? list.filter(snap => snap?.at && typeof snap.teams === "string") : [];
+  } catch {
+    return [];
+  }
+}
+
+async function readSnapshots() {
+  return loadSnapshots((await storage.backend.get([SNAPSHOT_KEY]))[SNAPSHOT_KEY]);
+}
+
+// Snapshots hold the real teams, even while a shared lineup or playback is on screen
+async function takeSnapshot() {
+  const own = (sharedView || playback)?.ownState || state;
+  const list = await readSnapshots();
+  list.unshift({ at: Date.now(), teams: JSON.stringify(own.teams) });
+  await storage.backend.put({ [SNAPSHOT_KEY]: JSON.stringify(list.slice(0, SNAPSHOT_LIMIT)) });
+  storage.lastSnapshotAt = list[0].at;
+}
+
+function scheduleFlush() {
+  storage.dirty = true;
+  clearTimeout(storage.timer);
+  storage.timer = setTimeout(flushStorage, SAVE_DELAY_MS);
+}
+
+async function flushStorage() {
+  clearTimeout(storage.timer);
+  if (!storage.ready || !storage.dirty) return;
+  storage.dirty = false;
+
+  const own = (sharedView || playback)?.ownState || state;
+  const entries = {
+    [STORAGE_KEY]: JSON.stringify(own),
+    [HISTORY_KEY]: JSON.stringify(undoHistory),
+    [SYNC_KEY]: JSON.stringify(syncMeta),
+  };
+
+  try {
+    await storage.backend.put(entries);
+    if (Date.now() - storage.lastSnapshotAt >= SNAPSHOT_EVERY_MS) await takeSnapshot();
+    if (storage.full) {
+      storage.full = false;
+      if (storageBanner) storageBanner.hidden = true;
+      setStatus("Saved");
+    }
+  } catch (e) {
+    if (!isQuotaError(e)) {
+      // Keep the change pending and try again a little later
+      console.error(e);
+      storage.dirty = true;
+      clearTimeout(storage.timer);
+      storage.timer = setTimeout(flushStorage, SAVE_RETRY_MS);
+      setStatus("Not saved • retrying");
+      return;
+    }
+    await recoverFromQuota(entries);
+  }
+}
+
+// Out of space: drop the older snapshots and most of the undo history, then retry once.
+async function recoverFromQuota(entries) {
+  try {
+    const list = await readSnapshots();
+    await storage.backend.put({ [SNAPSHOT_KEY]: JSON.stringify(list.slice(0, 2)) });
+    undoHistory.undo = undoHistory.undo.slice(-10);
+    undoHistory.redo = [];
+    await storage.backend.put({ ...entries, [HISTORY_KEY]: JSON.stringify(undoHistory) });
+    setStatus("Storage nearly full • old undo steps and snapshots removed");
+  } catch (e) {
+    console.error(e);
+    storage.dirty = true;
+    storage.full = true;
+    if (storageBanner) storageBanner.hidden = false;
+    setStatus("Storage full • not saved");
+  }
+}
+
 // --------- DOM refs ---------
 const appRoot = document.getElementById("appRoot");
+const liveRegion = document.getElementById("liveRegion");
 
 const playArea = document.getElementById("playArea");
 const zoneSvg = document.getElementById("zoneSvg");
 const courtTokens = document.getElementById("courtTokens");
 const courtWrap = document.getElementById("courtWrap");
+const court = document.getElementById("court");
+const phaseInputs = Array.from(document.querySelectorAll('input[name="phase"]'));
+const btnResetPhase = document.getElementById("btnResetPhase");
+
+// Drawing layer
+const drawSvg = document.getElementById("drawSvg");
+const drawToolInputs = Array.from(document.querySelectorAll('input[name="drawTool"]'));
+const drawColorSelect = document.getElementById("drawColorSelect");
+const btnDrawUndo = document.getElementById("btnDrawUndo");
+const btnDrawClear = document.getElementById("btnDrawClear");
+const chkShowDrawings = document.getElementById("chkShowDrawings");
+let drawTool = null;     // key of DRAW_TOOLS while drawing, null for moving players
+let drawStroke = null;   // { pointerId, shape } while a stroke is in progress
+const drawUndo = new Map(); // rotation id -> stack of earlier rot.drawings (JSON)
+
+// Rotation playback
+const btnPlayback = document.getElementById("btnPlayback");
+const playbackBar = document.getElementById("playbackBar");
+const playbackMode = document.getElementById("playbackMode");
+const btnPlayPause = document.getElementById("btnPlayPause");
+const btnStepPlayback = document.getElementById("btnStepPlayback");
+const playbackSpeed = document.getElementById("playbackSpeed");
+const playbackStep = document.getElementById("playbackStep");
+const btnStopPlayback = document.getElementById("btnStopPlayback");
 
 const leftBenchPanel = document.getElementById("leftBenchPanel");
 const rightBenchPanel = document.getElementById("rightBenchPanel");
 const leftBenchList = document.getElementById("leftBenchList");
 const rightBenchList = document.getElementById("rightBenchList");
+const leftBenchTag = document.getElementById("leftBenchTag");
+const rightBenchTag = document.getElementById("rightBenchTag");
+const leftBenchSub = document.getElementById("leftBenchSub");
+const rightBenchSub = document.getElementById("rightBenchSub");
 
 const teamSelect = document.getElementById("teamSelect");
 const teamName = document.getElementById("teamName");
 const btnSaveTeam = document.getElementById("btnSaveTeam");
 const btnNewTeam = document.getElementById("btnNewTeam");
 const btnDeleteTeam = document.getElementById("btnDeleteTeam");
+const formatSelect = document.getElementById("formatSelect");
+const numberingSelect = document.getElementById("numberingSelect");
+const tokenFaceSelect = document.getElementById("tokenFaceSelect");
 
 const rotList = document.getElementById("rotList");
 const rotationName = document.getElementById("rotationName");
@@ -330,6 +866,80 @@ const btnRotateCCW = document.getElementById("btnRotateCCW");
 
 const pillTeam = document.getElementById("pillTeam");
 const pillRotation = document.getElementById("pillRotation");
+const pillGame = document.getElementById("pillGame");
+
+// Game mode
+const gameBar = document.getElementById("gameBar");
+const gameScore = document.getElementById("gameScore");
+const btnPointUs = document.getElementById("btnPointUs");
+const btnPointThem = document.getElementById("btnPointThem");
+const btnNextSet = document.getElementById("btnNextSet");
+const btnEndGame = document.getElementById("btnEndGame");
+const gameStartRow = document.getElementById("gameStartRow");
+const btnStartServe = document.getElementById("btnStartServe");
+const btnStartReceive = document.getElementById("btnStartReceive");
+const gameLog = document.getElementById("gameLog");
+const subLimitInput = document.getElementById("subLimitInput");
+const seasonInput = document.getElementById("seasonInput");
+
+// Stats modal
+const btnOpenStats = document.getElementById("btnOpenStats");
+const statsBackdrop = document.getElementById("statsBackdrop");
+const btnCloseStats = document.getElementById("btnCloseStats");
+const btnCloseStats2 = document.getElementById("btnCloseStats2");
+const statsSeasonSelect = document.getElementById("statsSeasonSelect");
+const statsTable = document.getElementById("statsTable");
+const statsEmpty = document.getElementById("statsEmpty");
+
+// Fair-play generator modal
+const btnOpenFair = document.getElementById("btnOpenFair");
+const fairBackdrop = document.getElementById("fairBackdrop");
+const btnCloseFair = document.getElementById("btnCloseFair");
+const fairPlayers = document.getElementById("fairPlayers");
+const fairTurns = document.getElementById("fairTurns");
+const fairExplain = document.getElementById("fairExplain");
+const btnFairAgain = document.getElementById("btnFairAgain");
+const btnFairApply = document.getElementById("btnFairApply");
+let fairPlan = null; // last generator result waiting to be added
+
+// Roster import modal
+const btnImportRoster = document.getElementById("btnImportRoster");
+const rosterBackdrop = document.getElementById("rosterBackdrop");
+const btnCloseRoster = document.getElementById("btnCloseRoster");
+const btnCancelRoster = document.getElementById("btnCancelRoster");
+const btnConfirmRoster = document.getElementById("btnConfirmRoster");
+const rosterText = document.getElementById("rosterText");
+const btnRosterFile = document.getElementById("btnRosterFile");
+const rosterFileInput = document.getElementById("rosterFileInput");
+const rosterFormat = document.getElementById("rosterFormat");
+const rosterCsvOptions = document.getElementById("rosterCsvOptions");
+const rosterHeader = document.getElementById("rosterHeader");
+const rosterColumns = document.getElementById("rosterColumns");
+const rosterModeInputs = Array.from(document.querySelectorAll('input[name="rosterMode"]'));
+const rosterPreview = document.getElementById("rosterPreview");
+const rosterSummary = document.getElementById("rosterSummary");
+let rosterDraft = null; // { csv, header, mapping, plan } for the text in the import box
+
+// Libero
+const liberoSelect = document.getElementById("liberoSelect");
+const liberoTargets = document.getElementById("liberoTargets");
+const liberoStatus = document.getElementById("liberoStatus");
+
+// Overlap check
+const overlapList = document.getElementById("overlapList");
+
+// Substitution modal
+const btnOpenSub = document.getElementById("btnOpenSub");
+const subBackdrop = document.getElementById("subBackdrop");
+const subOutSelect = document.getElementById("subOutSelect");
+const subInSelect = document.getElementById("subInSelect");
+const subCheck = document.getElementById("subCheck");
+const btnCloseSub = document.getElementById("btnCloseSub");
+const btnCancelSub = document.getElementById("btnCancelSub");
+const btnConfirmSub = document.getElementById("btnConfirmSub");
+
+const btnUndo = document.getElementById("btnUndo");
+const btnRedo = document.getElementById("btnRedo");
 
 const btnShare = document.getElementById("btnShare");
 const chkEditLayout = document.getElementById("chkEditLayout");
@@ -351,7 +961,19 @@ const btnCloseModal = document.getElementById("btnCloseModal");
 const btnCancelModal = document.getElementById("btnCancelModal");
 const btnSavePlayerName = document.getElementById("btnSavePlayerName");
 const playerNameInput = document.getElementById("playerNameInput");
+const playerRolesInput = document.getElementById("playerRolesInput");
+const playerNumberInput = document.getElementById("playerNumberInput");
+const playerNicknameInput = document.getElementById("playerNicknameInput");
+const playerHandSelect = document.getElementById("playerHandSelect");
+const guardianNameInput = document.getElementById("guardianNameInput");
+const guardianPhoneInput = document.getElementById("guardianPhoneInput");
+const guardianEmailInput = document.getElementById("guardianEmailInput");
+const playerPhotoPreview = document.getElementById("playerPhotoPreview");
+const playerPhotoInput = document.getElementById("playerPhotoInput");
+const btnPickPhoto = document.getElementById("btnPickPhoto");
+const btnRemovePhoto = document.getElementById("btnRemovePhoto");
 let modalPlayerId = null;
+let modalPhoto = null; // photo data URL being edited ("" = removed)
 
 // Share modal
 const shareBackdrop = document.getElementById("shareBackdrop");
@@ -360,8 +982,74 @@ const btnCloseShare2 = document.getElementById("btnCloseShare2");
 const btnCopyShareLink = document.getElementById("btnCopyShareLink");
 const btnNativeShare = document.getElementById("btnNativeShare");
 const btnShareImage = document.getElementById("btnShareImage");
+const btnShareSvg = document.getElementById("btnShareSvg");
+
+// Print sheet
+const printSheet = document.getElementById("printSheet");
+const btnPrintSheet = document.getElementById("btnPrintSheet");
+const printCopyInputs = Array.from(document.querySelectorAll('input[name="printCopy"]'));
+const cardLayoutInputs = Array.from(document.querySelectorAll('input[name="cardLayout"]'));
+let cardLayout = "portrait"; // key of CARD_LAYOUTS
 const btnCopyShareText = document.getElementById("btnCopyShareText");
 const sharePreview = document.getElementById("sharePreview");
+const shareScopeInputs = Array.from(document.querySelectorAll('input[name="shareScope"]'));
+let shareScope = "rotation"; // "rotation" | "team"
+const chkShareProfiles = document.getElementById("chkShareProfiles");
+let shareProfiles = false; // include nickname, hand and guardian contact in links
+
+// Backup modal
+const btnExportData = document.getElementById("btnExportData");
+const btnImportData = document.getElementById("btnImportData");
+const importFileInput = document.getElementById("importFileInput");
+const dataBackdrop = document.getElementById("dataBackdrop");
+const dataTitle = document.getElementById("dataTitle");
+const dataHelp = document.getElementById("dataHelp");
+const dataList = document.getElementById("dataList");
+const btnCloseData = document.getElementById("btnCloseData");
+const btnCancelData = document.getElementById("btnCancelData");
+const btnConfirmData = document.getElementById("btnConfirmData");
+let dataMode = null; // { kind: "export" } | { kind: "import", plan }
+
+// Snapshots modal
+const btnOpenSnapshots = document.getElementById("btnOpenSnapshots");
+const snapBackdrop = document.getElementById("snapBackdrop");
+const btnCloseSnap = document.getElementById("btnCloseSnap");
+const btnCloseSnap2 = document.getElementById("btnCloseSnap2");
+const btnTakeSnapshot = document.getElementById("btnTakeSnapshot");
+const snapUsage = document.getElementById("snapUsage");
+const snapList = document.getElementById("snapList");
+
+// Sync
+const btnExportSync = document.getElementById("btnExportSync");
+const btnMergeSync = document.getElementById("btnMergeSync");
+const syncFileInput = document.getElementById("syncFileInput");
+const syncUrlInput = document.getElementById("syncUrlInput");
+const btnSyncNow = document.getElementById("btnSyncNow");
+const syncInfo = document.getElementById("syncInfo");
+
+// Shared link preview
+const linkBackdrop = document.getElementById("linkBackdrop");
+const linkPreview = document.getElementById("linkPreview");
+const linkTeamSelect = document.getElementById("linkTeamSelect");
+const linkRotationRow = document.getElementById("linkRotationRow");
+const linkRotationSelect = document.getElementById("linkRotationSelect");
+const btnCloseLink = document.getElementById("btnCloseLink");
+const btnLinkAddRotation = document.getElementById("btnLinkAddRotation");
+const btnLinkView = document.getElementById("btnLinkView");
+const btnLinkNewTeam = document.getElementById("btnLinkNewTeam");
+let pendingShare = null; // team decoded from a #s= link, waiting for the recipient's choice
+let sharedView = null;   // { ownState } while viewing a shared lineup read-only
+let playback = null;     // { ownState, mode, step, speed, playing, timer } while playing rotations
+
+const viewBanner = document.getElementById("viewBanner");
+const updateBanner = document.getElementById("updateBanner");
+const storageBanner = document.getElementById("storageBanner");
+const btnStorageExport = document.getElementById("btnStorageExport");
+const btnStorageRetry = document.getElementById("btnStorageRetry");
+const btnApplyUpdate = document.getElementById("btnApplyUpdate");
+const btnDismissUpdate = document.getElementById("btnDismissUpdate");
+const btnSaveSharedView = document.getElementById("btnSaveSharedView");
+const btnExitSharedView = document.getElementById("btnExitSharedView");
 
 // --------- Helpers ---------
 function getTeam() {
@@ -383,7 +1071,7 @@ function ensureValidSelection() {
   if (!state.teams.some(t => t.id === state.currentTeamId)) state.currentTeamId = state.teams[0].id;
 
   const team = getTeam();
-  if (!team.rotations?.length) team.rotations = [makeNewRotation("Rotation 1", team.players)];
+  if (!team.rotations?.length) team.rotations = [makeNewRotation("Rotation 1", team.players, formatFor(team))];
   if (!team.rotations.some(r => r.id === state.currentRotationId)) state.currentRotationId = team.rotations[0].id;
 
   if (!state.ui) state.ui = { editLayout: false };
@@ -391,29 +1079,88 @@ function ensureValidSelection() {
 }
 
 function migrateAndFixRotation(team, rot) {
+  const fmt = formatFor(team);
+
   if (rot.mesh && rot.positions && rot.leftBench && rot.rightBench) {
-    rot.mesh = clampMesh(rot.mesh);
+    rot.mesh = clampMesh(meshFitsFormat(rot.mesh, fmt) ? rot.mesh : defaultMesh(fmt));
+    fitPositionsToFormat(rot, fmt);
     normalizePlayerMembership(team, rot);
     return;
   }
 
   const ids = team.players.map(p => p.id);
-  rot.positions = rot.positions || {
-    "1": ids[0] || null, "2": ids[1] || null, "3": ids[2] || null,
-    "5": ids[3] || null, "6": ids[4] || null, "7": ids[5] || null,
-  };
+  rot.positions = rot.positions || defaultPositions(ids, fmt);
 
   rot.leftBench = Array.isArray(rot.leftBench) ? rot.leftBench : [];
   rot.rightBench = Array.isArray(rot.rightBench) ? rot.rightBench : [];
 
-  rot.mesh = clampMesh(defaultMesh());
+  rot.mesh = clampMesh(defaultMesh(fmt));
+  fitPositionsToFormat(rot, fmt);
   normalizePlayerMembership(team, rot);
 }
 
+// Drop zone keys the format doesn't have (their players fall back to a bench) and add missing ones.
+function fitPositionsToFormat(rot, fmt) {
+  const zones = courtZones(fmt).map(String);
+  for (const k of Object.keys(rot.positions)) {
+    if (!zones.includes(k)) delete rot.positions[k];
+  }
+  zones.forEach(k => { if (!(k in rot.positions)) rot.positions[k] = null; });
+  for (const spots of Object.values(rot.formations || {})) {
+    for (const k of Object.keys(spots)) if (!zones.includes(k)) delete spots[k];
+  }
+}
+
+/**
+ * Switch a team to another court format. Every rotation keeps its player order
+ * (court zones first, then left and right bench) and gets the format's default mesh.
+ */
+function setTeamFormat(team, formatKey) {
+  const from = formatFor(team);
+  const to = FORMATS[formatKey];
+  if (!to || from === to) return;
+
+  team.rotations.forEach(r => {
+    releaseLibero(r);
+    const order = [
+      ...courtZones(from).map(pos => r.positions[String(pos)]).filter(Boolean),
+      ...r.leftBench,
+      ...r.rightBench,
+    ];
+    const fresh = makeNewRotation(r.name, order.map(id => ({ id })), to);
+
+    r.positions = fresh.positions;
+    r.leftBench = fresh.leftBench;
+    r.rightBench = fresh.rightBench;
+    r.mesh = fresh.mesh;
+    r.formations = {};
+  });
+
+  team.format = formatKey;
+  team.rotations.forEach(r => {
+    normalizePlayerMembership(team, r);
+    applyLiberoRules(team, r);
+  });
+}
+
 function normalizePlayerMembership(team, rot) {
   const roster = team.players.map(p => p.id);
   const seen = new Set();
 
+  // The player sitting out for the libero swap lives outside the court and bench queues
+  if (rot.libero) {
+    const lib = rot.libero;
+    if (!hasRole(findPlayer(team, lib.id), "L")) {
+      // Same as taking the libero off by hand: the replaced player gets their zone back
+      releaseLibero(rot);
+      rot.libero = null;
+    } else {
+      lib.targets = (lib.targets || []).filter(pid => roster.includes(pid) && pid !== lib.id);
+      if (lib.held && roster.includes(lib.held)) seen.add(lib.held);
+      else { lib.held = null; lib.replacing = null; }
+    }
+  }
+
   for (const k of Object.keys(rot.positions || {})) {
     const pid = rot.positions[k];
     if (!pid || !roster.includes(pid) || seen.has(pid)) rot.positions[k] = null;
@@ -423,186 +1170,2727 @@ function normalizePlayerMembership(team, rot) {
   rot.leftBench = (rot.leftBench || []).filter(pid => roster.includes(pid) && !seen.has(pid) && (seen.add(pid), true));
   rot.rightBench = (rot.rightBench || []).filter(pid => roster.includes(pid) && !seen.has(pid) && (seen.add(pid), true));
 
+  // Players sitting out stay off the court and out of the bench queues
+  if (rot.out) {
+    rot.out = rot.out.filter(pid => roster.includes(pid) && !seen.has(pid) && (seen.add(pid), true));
+    if (!rot.out.length) delete rot.out;
+  }
+
   roster.forEach(pid => { if (!seen.has(pid)) rot.rightBench.unshift(pid); });
 }
 
-function getSharableState() {
+// --------- Rotation legality ---------
+/**
+ * Role-based sanity checks for one rotation.
+ * Returns [{ text, pos: [courtPos...] }]; `pos` lists the zones to flag on the court.
+ */
+function rotationWarnings(team, rot) {
+  const fmt = formatFor(team);
+  const front = frontZones(fmt);
+  const onCourt = courtZones(fmt)
+    .map(pos => ({ pos, p: findPlayer(team, rot.positions[String(pos)]) }))
+    .filter(x => x.p);
+  const withRole = (role) => onCourt.filter(x => hasRole(x.p, role));
+  const warnings = [];
+
+  const setters = withRole("S");
+  if (setters.length > 1) {
+    warnings.push({
+      text: `${setters.length === 2 ? "Two" : setters.length} setters on court`,
+      pos: setters.map(x => x.pos),
+    });
+  }
+  if (team.players.some(p => hasRole(p, "S"))) {
+    if (!setters.length) warnings.push({ text: "No setter on court", pos: [] });
+    else if (!setters.some(x => front.includes(x.pos))) {
+      warnings.push({ text: "No setter front row", pos: setters.map(x => x.pos) });
+    }
+  }
+
+  const liberos = withRole("L");
+  if (liberos.length > 1) {
+    warnings.push({ text: "Two liberos on court", pos: liberos.map(x => x.pos) });
+  }
+  liberos
+    .filter(x => front.includes(x.pos))
+    .forEach(x => warnings.push({ text: `Libero in frontcourt (#${x.p.number})`, pos: [x.pos] }));
+
+  return warnings;
+}
+
+function isDefaultMesh(mesh, fmt = FORMATS[DEFAULT_FORMAT]) {
+  const norm = (m) => JSON.stringify(clampMesh(JSON.parse(JSON.stringify(m))).pts);
+  return !mesh || norm(mesh) === norm(defaultMesh(fmt));
+}
+
+function getSharableState(scope = "rotation", profiles = false) {
   const team = getTeam();
   const rot = getRotation(team);
+  return getSharableTeam(team, rot, scope === "team" ? team.rotations : [rot], profiles);
+}
+
+/**
+ * Team share payload: the roster is listed once and rotations refer to players by
+ * roster index instead of repeating IDs. Meshes equal to defaultMesh() are left out.
+ */
+// Profiles (nickname, hand, guardian) only travel when asked for; photos never do.
+function getSharableTeam(team, currentRot, rotations = team.rotations, profiles = false) {
+  const index = new Map(team.players.map((p, i) => [p.id, i]));
+  const ref = (pid) => (index.has(pid) ? index.get(pid) : null);
+  const fmt = formatFor(team);
 
   return {
+    kind: "team",
     team: {
       name: team.name,
-      players: team.players,
+      format: FORMAT_KEYS.find(k => FORMATS[k] === fmt),
+      numbering: numberingFor(team),
+      players: team.players.map(p => {
+        const out = { number: p.number, name: p.name };
+        if (p.roles?.length) out.roles = p.roles;
+        if (profiles) {
+          if (p.nickname) out.nickname = p.nickname;
+          if (p.hand) out.hand = p.hand;
+          if (p.guardian) out.guardian = { ...p.guardian };
+        }
+        return out;
+      }),
+      ...(profiles ? { profiles: true } : {}),
     },
-    rotation: {
-      name: rot.name,
-      positions: rot.positions,
-      leftBench: rot.leftBench,
-      rightBench: rot.rightBench,
-      mesh: rot.mesh,
-    }
+    current: Math.max(0, rotations.indexOf(currentRot)),
+    rotations: rotations.map(r => {
+      const positions = {};
+      for (const [k, pid] of Object.entries(r.positions || {})) positions[k] = ref(pid);
+
+      const out = {
+        name: r.name,
+        positions,
+        leftBench: r.leftBench.map(ref).filter(i => i !== null),
+        rightBench: r.rightBench.map(ref).filter(i => i !== null),
+      };
+      if (!isDefaultMesh(r.mesh, fmt)) out.mesh = r.mesh;
+      if (r.drawings?.length) out.drawings = r.drawings;
+      return out;
+    }),
   };
 }
 
-// ---- Share encoding (compressed + URL-safe) ----
-// Requires LZString loaded in index.html
-function encodeState(obj) {
-  const json = JSON.stringify(obj);
-  // compressToEncodedURIComponent is URL-safe and much shorter than base64 JSON
-  return LZString.compressToEncodedURIComponent(json);
-}
-function decodeState(str) {
-  const json = LZString.decompressFromEncodedURIComponent(str);
-  if (!json) throw new Error("Unable to decompress share payload");
-  return JSON.parse(json);
-}
+/** Inverse of getSharableTeam(): fresh player IDs, indexes mapped back to them. */
+function expandTeamShare(data) {
+  const players = data.team.players.map(p => ({ ...p, id: uid() }));
+  const idAt = (i) => players[i]?.id || null;
+
+  const rotations = data.rotations.map(r => {
+    const positions = {};
+    for (const [k, i] of Object.entries(r.positions || {})) positions[k] = i === null ? null : idAt(i);
+    return {
+      name: r.name,
+      positions,
+      leftBench: (r.leftBench || []).map(idAt).filter(Boolean),
+      rightBench: (r.rightBench || []).map(idAt).filter(Boolean),
+      mesh: r.mesh,
+      drawings: r.drawings || [],
+    };
+  });
 
-function buildShareUrl() {
-  const payload = getSharableState();
-  const encoded = encodeState(payload);
-  // Prefer hash share (cleaner on GH Pages, no querystring persistence)
-  return `${location.origin}${location.pathname}#s=${encoded}`;
+  const current = clamp(Number(data.current) || 0, 0, rotations.length - 1);
+  const format = FORMATS[data.team.format] ? data.team.format : DEFAULT_FORMAT;
+  const team = { name: data.team.name, format, players, rotations };
+  if (data.team.numbering === "fivb") team.settings = { numbering: "fivb" };
+  return { teams: [team], current };
 }
 
-function buildShareText() {
-  const team = getTeam();
-  const rot = getRotation(team);
+// --------- Backup export / import ---------
+/**
+ * Migration steps for imported data, keyed by the schema version they upgrade *to*.
+ * Files without a version (raw storage dumps, old share payloads) are treated as v10.
+ * - v11: players carry roles.
+ * - v12: teams carry a court format; settings, a game log, rotation formations and
+ *   drawings and player profile fields are optional.
+ * Whatever the version, every team then goes through checkImportedTeam().
+ */
+const MIGRATIONS = {
+  11: (data) => {
+    data.teams.forEach(t => {
+      (Array.isArray(t?.players) ? t.players : []).forEach(p => { if (p && !p.roles) p.roles = []; });
+    });
+    return data;
+  },
+  12: (data) => {
+    data.teams.forEach(t => { if (t && typeof t === "object" && !t.format) t.format = DEFAULT_FORMAT; });
+    return data;
+  },
+};
 
-  const nameFor = (pid) => {
-    const p = findPlayer(team, pid);
-    return p ? `${p.number}. ${p.name}` : "(empty)";
-  };
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
 
-  const lines = [];
-  lines.push(`🏐 ${team.name} — ${rot.name}`);
-  lines.push("");
-  lines.push("ON COURT");
-  lines.push(`1 Front Left: ${rot.positions["1"] ? nameFor(rot.positions["1"]) : "(empty)"}`);
-  lines.push(`2 Front Middle (Setter): ${rot.positions["2"] ? nameFor(rot.positions["2"]) : "(empty)"}`);
-  lines.push(`3 Front Right: ${rot.positions["3"] ? nameFor(rot.positions["3"]) : "(empty)"}`);
-  lines.push(`5 Back Right: ${rot.positions["5"] ? nameFor(rot.positions["5"]) : "(empty)"}`);
-  lines.push(`6 Back Middle: ${rot.positions["6"] ? nameFor(rot.positions["6"]) : "(empty)"}`);
-  lines.push(`7 Back Left: ${rot.positions["7"] ? nameFor(rot.positions["7"]) : "(empty)"}`);
-  lines.push("");
-  lines.push("LEFT BENCH (Front → Back)");
-  lines.push(rot.leftBench.length ? rot.leftBench.map(pid => `• ${nameFor(pid)}`).join("\n") : "• (none)");
-  lines.push("");
-  lines.push("RIGHT BENCH (Front → Back)");
-  lines.push(rot.rightBench.length ? rot.rightBench.map(pid => `• ${nameFor(pid)}`).join("\n") : "• (none)");
+function checkImportedPlayer(p, i) {
+  const player = {
+    ...p,
+    id: typeof p.id === "string" && p.id ? p.id : uid(),
+    number: Number.isFinite(Number(p.number)) ? Number(p.number) : i + 1,
+    name: String(p.name ?? p.number ?? i + 1),
+  };
+  // Optional fields are dropped when they have the wrong shape
+  if (Array.isArray(p.roles)) player.roles = p.roles.filter(r => ROLE_KEYS.includes(r));
+  else delete player.roles;
+  if ("nickname" in player && (typeof player.nickname !== "string" || !player.nickname)) delete player.nickname;
+  if ("hand" in player && !HAND_KEYS.includes(player.hand)) delete player.hand;
+  if ("photo" in player && !String(player.photo).startsWith("data:image/")) delete player.photo;
+  if (isPlainObject(player.guardian)) {
+    player.guardian = Object.fromEntries(["name", "phone", "email"]
+      .filter(k => typeof player.guardian[k] === "string" && player.guardian[k])
+      .map(k => [k, player.guardian[k]]));
+  }
+  if ("guardian" in player && !(isPlainObject(player.guardian) && Object.keys(player.guardian).length)) delete player.guardian;
+  return player;
+}
 
-  return lines.join("\n");
+function checkImportedRotation(r) {
+  const rot = { ...r, id: typeof r.id === "string" && r.id ? r.id : uid(), name: String(r.name || "Rotation") };
+  if (!isPlainObject(rot.positions)) delete rot.positions;
+  if (!Array.isArray(rot.leftBench)) delete rot.leftBench;
+  if (!Array.isArray(rot.rightBench)) delete rot.rightBench;
+  if ("out" in rot && !Array.isArray(rot.out)) delete rot.out;
+  const pts = rot.mesh?.pts;
+  if (!isPlainObject(pts) || !Object.values(pts).every(pt => Number.isFinite(pt?.x) && Number.isFinite(pt?.y))) delete rot.mesh;
+  if ("formations" in rot && !isPlainObject(rot.formations)) delete rot.formations;
+  if ("drawings" in rot) rot.drawings = Array.isArray(rot.drawings) ? rot.drawings.filter(isValidDrawing) : [];
+  if (rot.libero != null && !isPlainObject(rot.libero)) delete rot.libero;
+  return rot;
+}
+
+/** Shape checks for one imported team; throws when it can't be a team at all. */
+function checkImportedTeam(t) {
+  if (!isPlainObject(t)) throw new Error("A team in the file is not an object");
+  const team = {
+    ...t,
+    id: typeof t.id === "string" && t.id ? t.id : uid(),
+    name: String(t.name || "Imported Team"),
+    format: FORMATS[t.format] ? t.format : DEFAULT_FORMAT,
+    players: (Array.isArray(t.players) ? t.players : []).filter(isPlainObject).map(checkImportedPlayer),
+    rotations: (Array.isArray(t.rotations) ? t.rotations : []).filter(isPlainObject).map(checkImportedRotation),
+  };
+  if ("settings" in team && !isPlainObject(team.settings)) delete team.settings;
+  if ("games" in team) team.games = Array.isArray(team.games) ? team.games.filter(g => isPlainObject(g) && Array.isArray(g.sets)) : [];
+  if (!team.rotations.length) team.rotations = [makeNewRotation("Rotation 1", team.players, formatFor(team))];
+  team.rotations.forEach(r => migrateAndFixRotation(team, r));
+  return team;
+}
+
+function migrateImport(raw) {
+  let data = raw;
+
+  // Share payloads: whole team ({ kind: "team" }) or single rotation ({ team, rotation })
+  if (data?.kind === "team") {
+    data = expandTeamShare(data);
+  } else if (data?.team && data?.rotation) {
+    data = { teams: [{ name: data.team.name, players: data.team.players, rotations: [data.rotation] }] };
+  }
+  if (!Array.isArray(data?.teams)) throw new Error("No teams in file");
+
+  const from = Number(data.version) || 10;
+  if (from > SCHEMA_VERSION) throw new Error(`File is from a newer version (v${from})`);
+
+  data = JSON.parse(JSON.stringify(data));
+  for (let v = from + 1; v <= SCHEMA_VERSION; v++) {
+    if (MIGRATIONS[v]) data = MIGRATIONS[v](data);
+  }
+  data.teams = data.teams.map(checkImportedTeam);
+  data.version = SCHEMA_VERSION;
+  return data;
+}
+
+function buildExport(teamIds) {
+  return {
+    format: EXPORT_FORMAT,
+    version: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    teams: state.teams.filter(t => teamIds.includes(t.id)),
+  };
+}
+
+/** One entry per incoming team: "new" (unknown id), "same" (identical) or "conflict". */
+function planImport(data) {
+  return data.teams.map(team => {
+    const local = state.teams.find(t => t.id === team.id);
+    const status = !local ? "new" : JSON.stringify(local) === JSON.stringify(team) ? "same" : "conflict";
+    return { team, local, status, choice: status === "conflict" ? "theirs" : null };
+  });
+}
+
+function copyTeamWithNewIds(team, name) {
+  const copy = JSON.parse(JSON.stringify(team));
+  copy.id = uid();
+  copy.name = name;
+  copy.rotations.forEach(r => { r.id = uid(); });
+  return copy;
+}
+
+function applyImport(plan) {
+  let count = 0;
+  // Built aside and swapped in at the end, so a failure leaves the teams untouched
+  const teams = state.teams.slice();
+
+  plan.forEach(item => {
+    if (item.status === "same" || item.choice === "mine") return;
+    count++;
+
+    if (item.status === "new") teams.push(item.team);
+    else if (item.choice === "theirs") teams[teams.indexOf(item.local)] = item.team;
+    else if (item.choice === "both") teams.push(copyTeamWithNewIds(item.team, `${item.team.name} (imported)`));
+  });
+  state.teams = teams;
+
+  saveState();
+  render();
+  setStatus(count ? `Imported ${count} team${count === 1 ? "" : "s"}` : "Nothing to import");
+}
+
+function downloadBlob(blob, filename) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// --------- Multi-device sync ---------
+/**
+ * Every saved change is stamped per entity (team, settings, player, rotation, mesh,
+ * game) with { t, dev }: a clock that never runs backwards and this device's id. A
+ * sync bundle carries all stamped entities (null value = deleted); merging keeps, per
+ * entity, the newest stamp (ties: higher device id, then the larger value), so every
+ * device that has seen the same bundles ends up with the same teams.
+ * v2 split settings and each logged game out of the team entity, so renaming a team on
+ * one phone and scoring a game on another no longer overwrite each other.
+ */
+const SYNC_FORMAT = "volley-lineup-sync";
+const SYNC_VERSION = 2;
+const SYNC_KINDS = ["team", "settings", "player", "rotation", "mesh", "game"];
+
+const isIdList = (v) => Array.isArray(v) && v.every(id => typeof id === "string");
+// Shape checks for incoming entity values (null, a deletion, is always fine)
+const SYNC_CHECKS = {
+  team: (v) => isPlainObject(v) && isIdList(v.playerOrder) && isIdList(v.rotationOrder)
+    && (v.gameOrder === undefined || isIdList(v.gameOrder)),
+  settings: isPlainObject,
+  player: (v) => isPlainObject(v) && typeof v.id === "string",
+  rotation: (v) => isPlainObject(v) && typeof v.id === "string"
+    && (v.positions === undefined || isPlainObject(v.positions))
+    && (v.leftBench === undefined || isIdList(v.leftBench))
+    && (v.rightBench === undefined || isIdList(v.rightBench))
+    && (v.drawings === undefined || (Array.isArray(v.drawings) && v.drawings.every(isValidDrawing))),
+  mesh: (v) => isPlainObject(v?.pts) && Object.values(v.pts).every(pt => Number.isFinite(pt?.x) && Number.isFinite(pt?.y)),
+  game: (v) => isPlainObject(v) && typeof v.id === "string" && Array.isArray(v.sets),
+};
+
+function validSyncEntry(key, v) {
+  const [kind, teamId, childId] = key.split(":");
+  const parts = kind === "team" || kind === "settings" ? 2 : 3;
+  if (!SYNC_CHECKS[kind] || key.split(":").length !== parts || !teamId || (parts === 3 && !childId)) return false;
+  return v === null || SYNC_CHECKS[kind](v);
+}
+
+function loadSyncMeta(raw = null) {
+  try {
+    const m = JSON.parse(raw || "null");
+    if (m?.deviceId && m.entities) return m;
+  } catch {
+    // fall through to a fresh device
+  }
+  return { deviceId: uid(), clock: 0, entities: {}, url: "", lastSyncAt: null };
+}
+
+// JSON with sorted keys, so equal entities hash equally however they were built
+function stableJson(v) {
+  if (Array.isArray(v)) return `[${v.map(stableJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableJson(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+function syncHash(v) {
+  if (v === null || v === undefined) return null;
+  const s = stableJson(v);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return (h >>> 0).toString(36) + s.length.toString(36);
+}
+
+/** Split teams into sync entities keyed "kind:teamId[:childId]". */
+function syncEntities(teams) {
+  const out = {};
+  teams.forEach(team => {
+    const { players, rotations, games, settings, ...rest } = team;
+    out[`team:${team.id}`] = { ...rest, playerOrder: players.map(p => p.id), rotationOrder: rotations.map(r => r.id) };
+    if (games?.length) {
+      out[`team:${team.id}`].gameOrder = games.map(g => g.id);
+      games.forEach(g => { out[`game:${team.id}:${g.id}`] = g; });
+    }
+    if (settings) out[`settings:${team.id}`] = settings;
+    players.forEach(p => { out[`player:${team.id}:${p.id}`] = p; });
+    rotations.forEach(r => {
+      const { mesh, ...rot } = r;
+      out[`rotation:${team.id}:${r.id}`] = rot;
+      out[`mesh:${team.id}:${r.id}`] = mesh;
+    });
+  });
+  return out;
+}
+
+// Rebuild teams from entity values; children of a deleted team are dropped.
+function teamsFromEntities(values) {
+  const byTeam = new Map();
+  Object.entries(values).forEach(([key, v]) => {
+    if (v === null) return;
+    const [kind, teamId, childId] = key.split(":");
+    if (!byTeam.has(teamId)) {
+      byTeam.set(teamId, { team: null, settings: null, players: new Map(), rotations: new Map(), meshes: new Map(), games: new Map() });
+    }
+    const g = byTeam.get(teamId);
+    if (kind === "team") g.team = v;
+    else if (kind === "settings") g.settings = v;
+    else if (kind === "game") g.games.set(childId, v);
+    else if (kind === "player") g.players.set(childId, v);
+    else if (kind === "rotation") g.rotations.set(childId, v);
+    else if (kind === "mesh") g.meshes.set(childId, v);
+  });
+
+  const ordered = (map, order = []) => [
+    ...order.filter(id => map.has(id)),
+    ...[...map.keys()].filter(id => !order.includes(id)).sort(),
+  ].map(id => map.get(id));
+
+  // Teams this device already has keep their place; new ones follow in id order
+  const localOrder = state.teams.map(t => t.id);
+  const rank = (id) => (localOrder.includes(id) ? localOrder.indexOf(id) : localOrder.length);
+  return [...byTeam.entries()]
+    .filter(([, g]) => g.team)
+    .sort(([a], [b]) => rank(a) - rank(b) || (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, g]) => {
+      // v1 bundles still carry games and settings inside the team entity
+      const { playerOrder, rotationOrder, gameOrder, ...rest } = JSON.parse(JSON.stringify(g.team));
+      const team = { ...rest, players: JSON.parse(JSON.stringify(ordered(g.players, playerOrder))) };
+      if (g.settings) team.settings = JSON.parse(JSON.stringify(g.settings));
+      if (g.games.size) team.games = JSON.parse(JSON.stringify(ordered(g.games, gameOrder)));
+      team.rotations = ordered(g.rotations, rotationOrder).map(r => ({
+        ...JSON.parse(JSON.stringify(r)),
+        mesh: JSON.parse(JSON.stringify(g.meshes.get(r.id) || defaultMesh(formatFor(team)))),
+      }));
+      if (!team.rotations.length) team.rotations = [makeNewRotation("Rotation 1", team.players, formatFor(team))];
+      team.rotations.forEach(r => migrateAndFixRotation(team, r));
+      return team;
+    });
+}
+
+/** Stamp entities that changed (or vanished) since the last save. Called from writeState. */
+function trackSyncChanges() {
+  const current = syncEntities(state.teams);
+  const t = Math.max(Date.now(), syncMeta.clock + 1);
+  let changed = false;
+  const stamp = (key, h) => {
+    syncMeta.entities[key] = { t, dev: syncMeta.deviceId, h };
+    changed = true;
+  };
+
+  Object.entries(current).forEach(([key, v]) => {
+    const h = syncHash(v);
+    if (syncMeta.entities[key]?.h !== h) stamp(key, h);
+  });
+  Object.entries(syncMeta.entities).forEach(([key, m]) => {
+    if (!(key in current) && m.h !== null) stamp(key, null);
+  });
+  if (changed) syncMeta.clock = t;
+}
+
+function buildSyncBundle() {
+  trackSyncChanges();
+  const current = syncEntities(state.teams);
+  const entities = {};
+  Object.entries(syncMeta.entities).forEach(([key, m]) => {
+    entities[key] = { t: m.t, dev: m.dev, v: m.h === null ? null : current[key] ?? null };
+  });
+  return {
+    format: SYNC_FORMAT,
+    version: SYNC_VERSION,
+    deviceId: syncMeta.deviceId,
+    exportedAt: new Date().toISOString(),
+    entities,
+  };
+}
+
+// Does stamped record a beat b?
+function syncWins(a, b) {
+  if (a.t !== b.t) return a.t > b.t;
+  if (a.dev !== b.dev) return a.dev > b.dev;
+  return stableJson(a.v) > stableJson(b.v);
+}
+
+/** Merge a bundle into the local state; returns how many entities took the incoming value. */
+function mergeSyncBundle(bundle) {
+  if (bundle?.format !== SYNC_FORMAT || !bundle.entities) throw new Error("Not a sync bundle");
+  if (Number(bundle.version) > SYNC_VERSION) throw new Error(`Bundle is from a newer version (v${bundle.version})`);
+  if (sharedView || playback) throw new Error("Leave the shared view or playback first");
+
+  // Check everything before touching local data, so a bad bundle changes nothing
+  const incoming = Object.entries(bundle.entities)
+    .filter(([key]) => SYNC_KINDS.includes(key.split(":")[0]))
+    .map(([key, raw]) => [key, { t: Number(raw?.t) || 0, dev: String(raw?.dev || ""), v: raw?.v ?? null }]);
+  const bad = incoming.find(([key, rec]) => !validSyncEntry(key, rec.v));
+  if (bad) throw new Error(`Bundle has an invalid entry (${bad[0]})`);
+
+  const local = buildSyncBundle().entities;
+  let taken = 0;
+  let clock = syncMeta.clock;
+
+  incoming.forEach(([key, rec]) => {
+    const mine = local[key];
+    if (mine && !syncWins(rec, mine)) return;
+    if (!mine || syncHash(mine.v) !== syncHash(rec.v)) taken++;
+    local[key] = rec;
+    clock = Math.max(clock, rec.t);
+  });
+
+  const values = {};
+  Object.entries(local).forEach(([key, rec]) => { values[key] = rec.v; });
+  const teams = teamsFromEntities(values);
+
+  // The rebuild worked: only now commit the stamps and the teams
+  Object.entries(local).forEach(([key, rec]) => {
+    syncMeta.entities[key] = { t: rec.t, dev: rec.dev, h: syncHash(rec.v) };
+  });
+  syncMeta.clock = clock;
+  state.teams = teams;
+  return taken;
+}
+
+/**
+ * Sync backends: anything with exchange(bundle) -> Promise<bundle>. The HTTP one
+ * POSTs our bundle to the server URL and merges the server's merged copy back.
+ */
+const SYNC_BACKENDS = {
+  http: (url) => ({
+    async exchange(bundle) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(bundle),
+      });
+      if (!res.ok) throw new Error(`Server answered ${res.status}`);
+      return res.json();
+    },
+  }),
+};
+
+function finishSyncMerge(taken, source) {
+  syncMeta.lastSyncAt = new Date().toISOString();
+  saveState();
+  render();
+  setStatus(taken ? `Synced ${taken} change${taken === 1 ? "" : "s"} from ${source}` : "Already in sync");
+}
+
+async function syncNow(backend = SYNC_BACKENDS.http(syncMeta.url)) {
+  const taken = mergeSyncBundle(await backend.exchange(buildSyncBundle()));
+  finishSyncMerge(taken, "server");
+}
+
+// ---- Compact wire format ----
+/**
+ * Binary layout of a team share payload (see getSharableTeam):
+ *   u8 version, u8 flags (bit 0 = FIVB numbering, bit 1 = profiles; v4+), u8 format (FORMAT_KEYS index; v2+), str team name
+ *   varint #players, per player: varint number, str name, u8 role bits (ROLE_KEYS order),
+ *     with profiles: str nickname, u8 hand (HAND_KEYS index + 1, 0 = unset), str guardian name/phone/email
+ *   varint current, varint #rotations, per rotation:
+ *     str name, court zone slots in ascending zone order as varint (roster index + 1, 0 = empty),
+ *     varint #left + indexes, varint #right + indexes,
+ *     u8 hasMesh, then the format's mesh keys x/y as varint (coordinate / MESH_QUANT),
+ *     v3+: varint #drawings, per drawing u8 (type index << 4 | color index) then
+ *       pen: varint #points + x/y, arrow: x1/y1/x2/y2, circle: x/y/r, text: x/y + str
+ *       (coordinates / MESH_QUANT, DRAW_TOOLS and DRAW_COLORS order)
+ * Strings are varint length + UTF-8. The version byte can never be "{", which is how
+ * decodeState() tells it apart from the legacy JSON payloads. v1 links are always 6v6.
+ */
+const WIRE_VERSION = 4;
+const MESH_QUANT = 5;
+
+function packShare(payload) {
+  const bytes = [];
+  const u8 = (n) => bytes.push(n & 0xff);
+  const varint = (n) => {
+    n = Math.max(0, Math.round(Number(n) || 0));
+    while (n > 0x7f) { bytes.push((n & 0x7f) | 0x80); n = Math.floor(n / 128); }
+    bytes.push(n);
+  };
+  const str = (v) => {
+    const b = new TextEncoder().encode(String(v ?? ""));
+    varint(b.length);
+    b.forEach(x => bytes.push(x));
+  };
+  const list = (arr) => { varint(arr.length); arr.forEach(varint); };
+
+  const formatKey = FORMATS[payload.team.format] ? payload.team.format : DEFAULT_FORMAT;
+  const fmt = FORMATS[formatKey];
+  const meshKeys = Object.keys(defaultMesh(fmt).pts);
+
+  const profiles = !!payload.team.profiles;
+  u8(WIRE_VERSION);
+  u8((payload.team.numbering === "fivb" ? 1 : 0) | (profiles ? 2 : 0));
+  u8(FORMAT_KEYS.indexOf(formatKey));
+  str(payload.team.name);
+
+  varint(payload.team.players.length);
+  payload.team.players.forEach(p => {
+    varint(p.number);
+    str(p.name);
+    u8(ROLE_KEYS.reduce((bits, r, i) => (p.roles?.includes(r) ? bits | (1 << i) : bits), 0));
+    if (profiles) {
+      str(p.nickname);
+      u8(HAND_KEYS.indexOf(p.hand) + 1);
+      str(p.guardian?.name);
+      str(p.guardian?.phone);
+      str(p.guardian?.email);
+    }
+  });
+
+  varint(payload.current);
+  varint(payload.rotations.length);
+  payload.rotations.forEach(r => {
+    str(r.name);
+    courtZones(fmt).forEach(pos => {
+      const i = r.positions[String(pos)];
+      varint(i === null || i === undefined ? 0 : i + 1);
+    });
+    list(r.leftBench);
+    list(r.rightBench);
+
+    u8(r.mesh ? 1 : 0);
+    if (r.mesh) {
+      meshKeys.forEach(k => {
+        varint(r.mesh.pts[k].x / MESH_QUANT);
+        varint(r.mesh.pts[k].y / MESH_QUANT);
+      });
+    }
+
+    const drawings = (r.drawings || []).filter(isValidDrawing);
+    const xy = (x, y) => { varint(x / MESH_QUANT); varint(y / MESH_QUANT); };
+    varint(drawings.length);
+    drawings.forEach(d => {
+      u8((DRAW_TYPES.indexOf(d.type) << 4) | Math.max(0, DRAW_COLORS.indexOf(d.color)));
+      if (d.type === "pen") {
+        varint(d.pts.length);
+        d.pts.forEach(p => xy(p.x, p.y));
+      } else if (d.type === "arrow") {
+        xy(d.x1, d.y1);
+        xy(d.x2, d.y2);
+      } else if (d.type === "circle") {
+        xy(d.x, d.y);
+        varint(d.r / MESH_QUANT);
+      } else {
+        xy(d.x, d.y);
+        str(d.text);
+      }
+    });
+  });
+
+  return bytes;
+}
+
+function unpackShare(bytes) {
+  let at = 0;
+  const u8 = () => {
+    if (at >= bytes.length) throw new Error("Truncated share payload");
+    return bytes[at++];
+  };
+  const varint = () => {
+    let n = 0, mul = 1, b;
+    do { b = u8(); n += (b & 0x7f) * mul; mul *= 128; } while (b & 0x80);
+    return n;
+  };
+  const str = () => {
+    const len = varint();
+    if (at + len > bytes.length) throw new Error("Truncated share payload");
+    const out = new TextDecoder().decode(new Uint8Array(bytes.slice(at, at + len)));
+    at += len;
+    return out;
+  };
+  const list = () => Array.from({ length: varint() }, varint);
+
+  const version = u8();
+  if (version < 1 || version > WIRE_VERSION) throw new Error(`Unsupported share version ${version}`);
+  const flags = u8();
+
+  const format = version >= 2 ? FORMAT_KEYS[u8()] : DEFAULT_FORMAT;
+  if (!format) throw new Error("Unknown court format");
+  const fmt = FORMATS[format];
+  const meshKeys = Object.keys(defaultMesh(fmt).pts);
+
+  const name = str();
+  const players = Array.from({ length: varint() }, () => {
+    const p = { number: varint(), name: str() };
+    const bits = u8();
+    p.roles = ROLE_KEYS.filter((_, i) => bits & (1 << i));
+    if (version >= 4 && flags & 2) {
+      const nickname = str();
+      const hand = HAND_KEYS[u8() - 1];
+      const guardian = { name: str(), phone: str(), email: str() };
+      if (nickname) p.nickname = nickname;
+      if (hand) p.hand = hand;
+      Object.keys(guardian).forEach(k => { if (!guardian[k]) delete guardian[k]; });
+      if (Object.keys(guardian).length) p.guardian = guardian;
+    }
+    return p;
+  });
+
+  const current = varint();
+  const rotations = Array.from({ length: varint() }, () => {
+    const r = { name: str(), positions: {} };
+    courtZones(fmt).forEach(pos => {
+      const i = varint();
+      r.positions[String(pos)] = i ? i - 1 : null;
+    });
+    r.leftBench = list();
+    r.rightBench = list();
+
+    if (u8()) {
+      r.mesh = { pts: {} };
+      meshKeys.forEach(k => {
+        const x = varint() * MESH_QUANT;
+        const y = varint() * MESH_QUANT;
+        r.mesh.pts[k] = { x, y };
+      });
+    }
+
+    if (version >= 3) {
+      const coord = () => varint() * MESH_QUANT;
+      r.drawings = Array.from({ length: varint() }, () => {
+        const head = u8();
+        const d = { type: DRAW_TYPES[head >> 4], color: DRAW_COLORS[head & 0x0f] || DRAW_COLORS[0] };
+        if (!d.type) throw new Error("Unknown drawing type");
+        if (d.type === "pen") {
+          d.pts = Array.from({ length: varint() }, () => ({ x: coord(), y: coord() }));
+        } else if (d.type === "arrow") {
+          Object.assign(d, { x1: coord(), y1: coord(), x2: coord(), y2: coord() });
+        } else if (d.type === "circle") {
+          Object.assign(d, { x: coord(), y: coord(), r: coord() });
+        } else {
+          Object.assign(d, { x: coord(), y: coord(), text: str() });
+        }
+        return d;
+      });
+    }
+    return r;
+  });
+
+  const numbering = flags & 1 ? "fivb" : "house";
+  return { kind: "team", team: { name, format, numbering, players }, current, rotations };
+}
+
+// ---- Share encoding (compressed + URL-safe) ----
+// Requires LZString loaded in index.html
+function encodeState(payload) {
+  if (typeof LZString === "undefined") throw new Error("Sharing library failed to load");
+  const bytes = packShare(payload);
+  // Spread in chunks: one argument per byte would overflow the call stack on big shares
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 8192) bin += String.fromCharCode(...bytes.slice(i, i + 8192));
+  // compressToEncodedURIComponent is URL-safe and still squeezes repeated names
+  return LZString.compressToEncodedURIComponent(bin);
+}
+function decodeState(str) {
+  const raw = LZString.decompressFromEncodedURIComponent(str);
+  if (!raw) throw new Error("Unable to decompress share payload");
+
+  // Legacy links carried JSON text
+  if (raw[0] === "{") return JSON.parse(raw);
+  return unpackShare(Array.from(raw, ch => ch.charCodeAt(0)));
+}
+
+function buildShareUrl(scope = shareScope) {
+  const payload = getSharableState(scope, shareProfiles);
+  const encoded = encodeState(payload);
+  // Prefer hash share (cleaner on GH Pages, no querystring persistence)
+  return `${location.origin}${location.pathname}#s=${encoded}`;
+}
+
+function buildShareTextFor(scope) {
+  const team = getTeam();
+  if (scope !== "team") return buildShareText(team);
+  return team.rotations.map(r => buildShareText(team, r)).join("\n\n");
+}
+
+function buildShareText(team = getTeam(), rot = getRotation(team)) {
+  const nameFor = (pid) => {
+    const p = findPlayer(team, pid);
+    return p ? `${p.number}. ${p.name}` : "(empty)";
+  };
+
+  const lines = [];
+  lines.push(`🏐 ${team.name} — ${rot.name}`);
+  lines.push("");
+  const fmt = formatFor(team);
+  lines.push(`ON COURT (${fmt.label})`);
+  for (const pos of displayZones(team)) {
+    const pid = rot.positions[String(pos)];
+    lines.push(`${zoneNumber(team, pos)} ${zoneName(fmt, pos) || "Court"}: ${pid ? nameFor(pid) : "(empty)"}`);
+  }
+  lines.push("");
+  lines.push("LEFT BENCH (Front → Back)");
+  lines.push(rot.leftBench.length ? rot.leftBench.map(pid => `• ${nameFor(pid)}`).join("\n") : "• (none)");
+  lines.push("");
+  lines.push("RIGHT BENCH (Front → Back)");
+  lines.push(rot.rightBench.length ? rot.rightBench.map(pid => `• ${nameFor(pid)}`).join("\n") : "• (none)");
+
+  return lines.join("\n");
 }
 
 // --------- Rotation logic ---------
-function rotateClockwise(rot) {
-  const p1 = rot.positions["1"];
-  const p2 = rot.positions["2"];
-  const p3 = rot.positions["3"];
-  const p5 = rot.positions["5"];
-  const p6 = rot.positions["6"];
-  const p7 = rot.positions["7"];
+/**
+ * Walk the format's ring one step. Zones take the player from the previous ring
+ * slot; a bench slot is a queue: clockwise it enqueues first and then releases its
+ * head, counter-clockwise it releases first. Left bench fills from the bottom and
+ * empties from the top, right bench the other way round (reversed when going CCW).
+ */
+function rotateRing(rot, fmt, dir) {
+  const ring = dir === "cw" ? fmt.ring : [...fmt.ring].reverse();
+  const ops = dir === "cw"
+    ? { left: ["push", "shift"], right: ["unshift", "pop"] }
+    : { left: ["unshift", "pop"], right: ["push", "shift"] };
+  const old = { ...rot.positions };
+  const n = ring.length;
+
+  ring.forEach((slot, i) => {
+    if (typeof slot !== "number") return;
+    const prev = ring[(i - 1 + n) % n];
+    if (typeof prev === "number") {
+      rot.positions[String(slot)] = old[String(prev)] || null;
+      return;
+    }
+
+    const bench = prev === "left" ? rot.leftBench : rot.rightBench;
+    const [enqueue, dequeue] = ops[prev];
+    const incoming = old[String(ring[(i - 2 + n) % n])];
+    if (dir === "cw") {
+      if (incoming) bench[enqueue](incoming);
+      rot.positions[String(slot)] = bench[dequeue]() || null;
+    } else {
+      const out = bench[dequeue]() || null;
+      if (incoming) bench[enqueue](incoming);
+      rot.positions[String(slot)] = out;
+    }
+  });
+}
+
+function rotateClockwise(rot, fmt = FORMATS[DEFAULT_FORMAT]) {
+  rotateRing(rot, fmt, "cw");
+}
+
+function rotateCounterClockwise(rot, fmt = FORMATS[DEFAULT_FORMAT]) {
+  rotateRing(rot, fmt, "ccw");
+}
+
+function applyRotation(team, rot, dir = "cw") {
+  if (dir === "cw") rotateClockwise(rot, formatFor(team));
+  else rotateCounterClockwise(rot, formatFor(team));
+  normalizePlayerMembership(team, rot);
+  applyLiberoRules(team, rot);
+}
+
+// --------- Libero ---------
+/**
+ * rot.libero = { id, targets: [pid], held, replacing }
+ * - `held` is whoever is off court because of the libero: the libero itself, or the
+ *   player it currently stands in for (`replacing`).
+ * - The libero may only stay on court in the back row (backZones); anywhere else
+ *   (front row after a rotation, or a bench queue) the replaced player takes the spot back.
+ * - While held, the libero goes in for the first target found in the back row.
+ */
+function setLibero(team, rot, liberoId) {
+  releaseLibero(rot);
+  if (!liberoId) {
+    rot.libero = null;
+    normalizePlayerMembership(team, rot);
+    return;
+  }
 
-  if (p3) rot.rightBench.unshift(p3); // 3 -> right bench TOP
-  if (p7) rot.leftBench.push(p7);     // 7 -> left bench BOTTOM
+  const loc = locatePlayer(rot, liberoId);
+  removeFromLocation(rot, loc, liberoId);
+  rot.libero = { id: liberoId, targets: rot.libero?.targets || [], held: liberoId, replacing: null };
+  normalizePlayerMembership(team, rot);
+  applyLiberoRules(team, rot);
+}
 
-  const fromLeft = rot.leftBench.shift() || null;   // left bench TOP -> 1
-  const fromRight = rot.rightBench.pop() || null;   // right bench BOTTOM -> 5
+/** Put the replaced player back where the libero is standing; the libero becomes held. */
+function releaseLibero(rot) {
+  const lib = rot.libero;
+  if (!lib?.replacing) return;
 
-  rot.positions["3"] = p2 || null;
-  rot.positions["2"] = p1 || null;
-  rot.positions["1"] = fromLeft;
+  const loc = locatePlayer(rot, lib.id);
+  if (loc?.type === "pos") rot.positions[String(loc.pos)] = lib.replacing;
+  else if (loc?.type === "left") rot.leftBench[loc.index] = lib.replacing;
+  else if (loc?.type === "right") rot.rightBench[loc.index] = lib.replacing;
+  else rot.rightBench.unshift(lib.replacing);
 
-  rot.positions["7"] = p6 || null;
-  rot.positions["6"] = p5 || null;
-  rot.positions["5"] = fromRight;
+  lib.held = lib.id;
+  lib.replacing = null;
 }
 
-function rotateCounterClockwise(rot) {
-  const p1 = rot.positions["1"];
-  const p2 = rot.positions["2"];
-  const p3 = rot.positions["3"];
-  const p5 = rot.positions["5"];
-  const p6 = rot.positions["6"];
-  const p7 = rot.positions["7"];
+/** The libero comes off as soon as it stands anywhere but a back-row zone. */
+function releaseLiberoOutsideBackRow(team, rot) {
+  const lib = rot.libero;
+  if (!lib?.replacing) return;
+  const loc = locatePlayer(rot, lib.id);
+  if (!(loc?.type === "pos" && backZones(formatFor(team)).includes(loc.pos))) releaseLibero(rot);
+}
 
-  const backInto7 = rot.leftBench.pop() || null;
-  const backInto3 = rot.rightBench.shift() || null;
+function applyLiberoRules(team, rot) {
+  const lib = rot.libero;
+  if (!lib?.id) return;
+  const back = backZones(formatFor(team));
 
-  rot.positions["1"] = p2 || null;
-  rot.positions["2"] = p3 || null;
-  rot.positions["3"] = backInto3;
+  releaseLiberoOutsideBackRow(team, rot);
 
-  rot.positions["5"] = p6 || null;
-  rot.positions["6"] = p7 || null;
-  rot.positions["7"] = backInto7;
+  if (!lib.replacing) {
+    const pos = back.find(pos => lib.targets.includes(rot.positions[String(pos)]));
+    if (pos) {
+      const pid = rot.positions[String(pos)];
+      rot.positions[String(pos)] = lib.id;
+      lib.held = pid;
+      lib.replacing = pid;
+    }
+  }
 
-  if (p1) rot.leftBench.unshift(p1);
-  if (p5) rot.rightBench.push(p5);
+  normalizePlayerMembership(team, rot);
 }
 
-// --------- Player Modal ---------
-function openPlayerModal(playerId) {
+function renderLibero(team, rot) {
+  if (!liberoSelect) return;
+
+  const liberos = team.players.filter(p => hasRole(p, "L"));
+  const lib = rot.libero;
+
+  liberoSelect.innerHTML = "";
+  const none = document.createElement("option");
+  none.value = "";
+  none.textContent = liberos.length ? "No libero" : "No players with the Libero role";
+  liberoSelect.appendChild(none);
+  liberos.forEach(p => {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = `#${p.number} ${p.name}`;
+    liberoSelect.appendChild(opt);
+  });
+  liberoSelect.value = lib?.id || "";
+
+  liberoTargets.innerHTML = "";
+  liberoTargets.hidden = !lib;
+  if (lib) {
+    team.players.filter(p => p.id !== lib.id).forEach(p => {
+      const chip = document.createElement("label");
+      chip.className = "roleChip";
+
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = lib.targets.includes(p.id);
+      cb.addEventListener("change", () => {
+        releaseLibero(rot);
+        lib.targets = cb.checked ? [...lib.targets, p.id] : lib.targets.filter(x => x !== p.id);
+        applyLiberoRules(team, rot);
+        saveState();
+        render();
+      });
+
+      const txt = document.createElement("span");
+      txt.textContent = `#${p.number} ${p.name}`;
+
+      chip.appendChild(cb);
+      chip.appendChild(txt);
+      liberoTargets.appendChild(chip);
+    });
+  }
+
+  const held = findPlayer(team, lib?.held);
+  liberoStatus.textContent = !lib ? "" :
+    lib.replacing ? `Libero in for #${held?.number} ${held?.name}` :
+    "Libero off court (waiting for a back-row target)";
+}
+
+// --------- Game mode ---------
+/**
+ * team.games = [{ id, startedAt, endedAt, serving, sets: [{ us, them, firstServe, rallies }] }]
+ * Each rally: { t, winner, server, us, them, rotationId, rotated }.
+ * Winning a rally on their serve is a side-out: we rotate the current rotation clockwise.
+ */
+function activeGame(team = getTeam()) {
+  return team?.games?.find(g => !g.endedAt) || null;
+}
+function currentSet(game) {
+  return game.sets[game.sets.length - 1];
+}
+function makeNewSet(firstServe) {
+  return { us: 0, them: 0, firstServe, rallies: [], subs: [], lineups: [] };
+}
+
+function seasonFor(team) {
+  return team.settings?.season || String(new Date().getFullYear());
+}
+function seasonOf(game) {
+  return game.season || String(new Date(game.startedAt).getFullYear());
+}
+
+/**
+ * Match log: append the court lineup to set.lineups whenever it differs from the
+ * last entry. `rally` is the index of the first rally played with it, so stats can
+ * tell who was on court for every rally without copying the lineup into each one.
+ */
+function logLineup(set, rot, reason) {
+  if (!set.lineups) set.lineups = [];
+  const lineup = { ...rot.positions };
+  const last = set.lineups[set.lineups.length - 1];
+  if (last && last.rotationId === rot.id && JSON.stringify(last.lineup) === JSON.stringify(lineup)) return;
+
+  set.lineups.push({
+    t: Date.now(),
+    rally: set.rallies.length,
+    reason: last && last.rotationId !== rot.id ? "switch" : reason,
+    rotationId: rot.id,
+    name: rot.name,
+    lineup,
+  });
+}
+
+// Zone the server stands in: standard position 1 of the team's format.
+function servingZone(team) {
+  const standard = standardNumbers(formatFor(team));
+  return courtZones(formatFor(team)).find(pos => standard[pos] === 1);
+}
+
+function startGame(serving) {
   const team = getTeam();
-  const player = findPlayer(team, playerId);
-  if (!player) return;
+  if (activeGame(team)) return;
 
-  modalPlayerId = playerId;
-  playerNameInput.value = player.name;
+  if (!team.games) team.games = [];
+  const game = {
+    id: uid(),
+    season: seasonFor(team),
+    startedAt: Date.now(),
+    endedAt: null,
+    serving,
+    sets: [makeNewSet(serving)],
+  };
+  logLineup(game.sets[0], getRotation(team), "start");
+  team.games.push(game);
+  saveState();
+  render();
+  setStatus("Game started");
+}
+
+function recordRally(winner) {
+  const team = getTeam();
+  const game = activeGame(team);
+  if (!game) return;
+
+  const rot = getRotation(team);
+  const set = currentSet(game);
+  const sideOut = winner === "us" && game.serving === "them";
+
+  // Catches manual rotations, edits and rotation switches since the last rally
+  logLineup(set, rot, "change");
+
+  set[winner]++;
+  const rally = {
+    t: Date.now(),
+    winner,
+    server: game.serving,
+    us: set.us,
+    them: set.them,
+    rotationId: rot.id,
+    rotated: sideOut,
+  };
+  if (game.serving === "us") rally.serverId = rot.positions[String(servingZone(team))] || null;
+  set.rallies.push(rally);
+  game.serving = winner;
+
+  if (sideOut) {
+    applyRotation(team, rot, "cw");
+    logLineup(set, rot, "side-out");
+  }
+
+  saveState();
+  animateTokens(render);
+  setStatus(sideOut ? "Side-out • rotated" : `Point ${winner === "us" ? "us" : "them"}`);
+}
+
+function startNextSet() {
+  const team = getTeam();
+  const game = activeGame(team);
+  if (!game) return;
+
+  // Serve alternates between sets
+  const first = currentSet(game).firstServe === "us" ? "them" : "us";
+  game.sets.push(makeNewSet(first));
+  game.serving = first;
+  logLineup(currentSet(game), getRotation(team), "start");
+  saveState();
+  render();
+  setStatus(`Set ${game.sets.length}`);
+}
+
+function endGame() {
+  const team = getTeam();
+  const game = activeGame(team);
+  if (!game) return;
+  if (!confirm("End this game? The rally log is kept.")) return;
+
+  game.endedAt = Date.now();
+  saveState();
+  render();
+  setStatus("Game ended");
+}
+
+// --------- Substitutions ---------
+function subLimitFor(team) {
+  return team.settings?.subLimit ?? DEFAULT_SUB_LIMIT;
+}
+
+/**
+ * Per-set substitution rules, returned as a list of human-readable problems:
+ * - at most subLimitFor(team) substitutions per set
+ * - a player who entered as a substitute can only be replaced by the player they replaced
+ * - a player who was substituted out can only come back for their replacement
+ * - nobody enters the court more than once by substitution in a set
+ */
+function checkSubstitution(team, set, outId, inId) {
+  const subs = set.subs || [];
+  const problems = [];
+  const label = (pid) => {
+    const p = findPlayer(team, pid);
+    return p ? `#${p.number} ${p.name}` : "?";
+  };
+  const partnerOf = (pid) => {
+    const first = subs.find(s => s.in === pid || s.out === pid);
+    if (!first) return null;
+    return first.in === pid ? first.out : first.in;
+  };
+
+  const limit = subLimitFor(team);
+  if (subs.length >= limit) problems.push(`Substitution limit reached (${limit} per set)`);
+
+  const outPartner = partnerOf(outId);
+  if (outPartner && outPartner !== inId) {
+    problems.push(`${label(outId)} can only be replaced by ${label(outPartner)}`);
+  }
+
+  const inPartner = partnerOf(inId);
+  if (subs.some(s => s.in === inId)) {
+    problems.push(`${label(inId)} has already entered by substitution this set`);
+  } else if (inPartner && inPartner !== outId) {
+    problems.push(`${label(inId)} can only come back in for ${label(inPartner)}`);
+  }
+
+  return problems;
+}
+
+function makeSubstitution(outId, inId) {
+  const team = getTeam();
+  const game = activeGame(team);
+  const rot = getRotation(team);
+  if (!game || !rot) return false;
+
+  const outLoc = locatePlayer(rot, outId);
+  const inLoc = locatePlayer(rot, inId);
+  if (outLoc?.type !== "pos" || !inLoc || inLoc.type === "pos") return false;
+
+  const set = currentSet(game);
+  const problems = checkSubstitution(team, set, outId, inId);
+  if (problems.length && !confirm(`Illegal substitution:\n• ${problems.join("\n• ")}\n\nMake it anyway?`)) return false;
+
+  // The outgoing player takes the incoming player's bench spot
+  const bench = inLoc.type === "left" ? rot.leftBench : rot.rightBench;
+  bench[inLoc.index] = outId;
+  rot.positions[String(outLoc.pos)] = inId;
+  normalizePlayerMembership(team, rot);
+
+  if (!set.subs) set.subs = [];
+  set.subs.push({ t: Date.now(), in: inId, out: outId, pos: outLoc.pos, us: set.us, them: set.them });
+  logLineup(set, rot, "sub");
+
+  saveState();
+  render();
+  setStatus("Substitution made");
+  return true;
+}
+
+function setsWon(game) {
+  const done = game.endedAt ? game.sets : game.sets.slice(0, -1);
+  return {
+    us: done.filter(s => s.us > s.them).length,
+    them: done.filter(s => s.them > s.us).length,
+  };
+}
+
+function renderGame(team) {
+  const game = activeGame(team);
+
+  if (pillGame) {
+    pillGame.hidden = !game;
+    if (game) {
+      const set = currentSet(game);
+      pillGame.textContent = `Set ${game.sets.length} • ${set.us}–${set.them} • ${game.serving === "us" ? "We serve" : "They serve"}`;
+    }
+  }
+  if (gameBar) gameBar.hidden = !game;
+  if (gameStartRow) gameStartRow.hidden = !!game;
+  if (game && gameScore) {
+    const set = currentSet(game);
+    const won = setsWon(game);
+    gameScore.textContent = `${set.us} – ${set.them}`;
+    gameScore.title = `Sets ${won.us}–${won.them}`;
+    if (btnOpenSub) btnOpenSub.textContent = `Sub (${(set.subs || []).length}/${subLimitFor(team)})`;
+  }
+  if (subLimitInput && document.activeElement !== subLimitInput) subLimitInput.value = subLimitFor(team);
+  if (seasonInput && document.activeElement !== seasonInput) seasonInput.value = seasonFor(team);
+
+  if (!gameLog) return;
+  gameLog.innerHTML = "";
+
+  (team.games || []).slice(-5).reverse().forEach(g => {
+    const box = document.createElement("details");
+    box.className = "gameLogGame";
+    box.open = g === game;
+
+    const won = setsWon(g);
+    const sum = document.createElement("summary");
+    sum.textContent = `${new Date(g.startedAt).toLocaleDateString()} • ${seasonOf(g)} • sets ${won.us}–${won.them}${g.endedAt ? "" : " • live"}`;
+    box.appendChild(sum);
+
+    g.sets.forEach((set, i) => {
+      const head = document.createElement("div");
+      head.className = "gameLogSet";
+      head.textContent = `Set ${i + 1}: ${set.us}–${set.them}`;
+      box.appendChild(head);
+
+      const list = document.createElement("ol");
+      list.className = "gameLogRallies";
+      set.rallies.forEach(r => {
+        const li = document.createElement("li");
+        li.textContent = `${r.us}–${r.them} ${r.winner === "us" ? "Us" : "Them"}${r.rotated ? " • side-out ⟳" : ""}`;
+        list.appendChild(li);
+      });
+      box.appendChild(list);
+
+      // Rotation changes and substitutions in the order they happened
+      const time = (t) => new Date(t).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+      const events = [
+        ...(set.lineups || []).filter(e => e.reason !== "sub" && e.reason !== "side-out").map(e => ({
+          t: e.t,
+          text: `⟳ ${e.reason === "start" ? "Start in" : e.reason === "switch" ? "Switched to" : "Changed"} ${e.name}`,
+        })),
+        ...(set.subs || []).map(sub => {
+          const pin = findPlayer(team, sub.in);
+          const pout = findPlayer(team, sub.out);
+          return { t: sub.t, text: `⇄ #${pin?.number ?? "?"} in for #${pout?.number ?? "?"} • zone ${zoneNumber(team, sub.pos)} • ${sub.us}–${sub.them}` };
+        }),
+      ].sort((a, b) => a.t - b.t);
+
+      events.forEach(ev => {
+        const row = document.createElement("div");
+        row.className = "gameLogSub";
+        row.textContent = `${time(ev.t)} ${ev.text}`;
+        box.appendChild(row);
+      });
+    });
+
+    gameLog.appendChild(box);
+  });
+}
+
+// --------- Playing-time stats ---------
+/**
+ * Per-player totals from the match log (games without set.lineups are skipped):
+ * - rallies: rallies played on court; bench: rallies of logged sets spent off court
+ * - zones: how many rotation turns (lineup log entries with at least one rally) in each zone
+ * - serves: rallies served while standing in the serving zone
+ */
+function playerStats(team, season = null) {
+  const stats = new Map(team.players.map(p => [p.id, { rallies: 0, bench: 0, serves: 0, zones: {} }]));
+
+  (team.games || []).filter(g => !season || seasonOf(g) === season).forEach(g => {
+    g.sets.forEach(set => {
+      const lineups = set.lineups || [];
+      let at = -1;
+      let counted = null;
+
+      set.rallies.forEach((rally, i) => {
+        while (at + 1 < lineups.length && lineups[at + 1].rally <= i) at++;
+        if (at < 0) return;
+
+        const entry = lineups[at];
+        const onCourt = Object.entries(entry.lineup).filter(([, pid]) => pid);
+        const ids = new Set(onCourt.map(([, pid]) => pid));
+        stats.forEach((st, pid) => { if (ids.has(pid)) st.rallies++; else st.bench++; });
+
+        if (entry !== counted) {
+          onCourt.forEach(([zone, pid]) => {
+            const st = stats.get(pid);
+            if (st) st.zones[zone] = (st.zones[zone] || 0) + 1;
+          });
+          counted = entry;
+        }
+        if (rally.serverId && stats.has(rally.serverId)) stats.get(rally.serverId).serves++;
+      });
+    });
+  });
+
+  return stats;
+}
+
+function renderStats() {
+  const team = getTeam();
+  const seasons = [...new Set((team.games || []).map(seasonOf))].sort().reverse();
+  const picked = statsSeasonSelect.value;
+
+  statsSeasonSelect.innerHTML = "";
+  [["", "All seasons"], ...seasons.map(x => [x, x])].forEach(([value, text]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    statsSeasonSelect.appendChild(opt);
+  });
+  statsSeasonSelect.value = seasons.includes(picked) ? picked : "";
+
+  const stats = playerStats(team, statsSeasonSelect.value || null);
+  const zones = displayZones(team);
+  const total = Math.max(1, ...[...stats.values()].map(st => st.rallies + st.bench));
+  const avg = team.players.length ? [...stats.values()].reduce((n, st) => n + st.rallies, 0) / team.players.length : 0;
+
+  statsTable.innerHTML = "";
+  const head = document.createElement("tr");
+  ["Player", "On court", "Bench", "Serves", ...zones.map(pos => `Z${zoneNumber(team, pos)}`)].forEach(text => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  statsTable.appendChild(head);
+
+  team.players.forEach(p => {
+    const st = stats.get(p.id);
+    const tr = document.createElement("tr");
+    // Flag players well under the team average so time can be evened out
+    if (avg && st.rallies < avg * 0.8) tr.className = "low";
+
+    const cells = [
+      `#${p.number} ${p.name}`,
+      `${st.rallies} (${Math.round((st.rallies / total) * 100)}%)`,
+      st.bench,
+      st.serves,
+      ...zones.map(pos => st.zones[String(pos)] || 0),
+    ];
+    cells.forEach(text => {
+      const td = document.createElement("td");
+      td.textContent = String(text);
+      tr.appendChild(td);
+    });
+    statsTable.appendChild(tr);
+  });
+
+  statsEmpty.hidden = [...stats.values()].some(st => st.rallies);
+}
+
+function openStats() {
+  renderStats();
+  statsBackdrop.hidden = false;
+}
+function closeStats() {
+  statsBackdrop.hidden = true;
+}
+
+// --------- Fair-play generator ---------
+/**
+ * Seats the players who are playing (court zones, then the left and right bench
+ * queues) and scores the seating by replaying the next turns with rotateRing.
+ * A random-restart hill climb swaps seats to lower the score: role warnings from
+ * rotationWarnings first, then the spread in court turns, then their variance.
+ * Players who aren't playing go in rot.out of every generated rotation, so they
+ * never rotate back in. The search runs FAIR_DELAY_MS after the last change in the
+ * modal, so ticking several players doesn't run it once per click.
+ */
+const FAIR_RESTARTS = 8;
+const FAIR_STEPS = 300;
+const FAIR_DELAY_MS = 250;
+
+function fairSeating(order, leftCount, fmt) {
+  const rest = order.slice(courtZones(fmt).length);
+  return {
+    positions: defaultPositions(order, fmt),
+    leftBench: rest.slice(0, leftCount),
+    rightBench: rest.slice(leftCount),
+  };
+}
+
+function simulateFairness(team, seating, playing, turns) {
+  const fmt = formatFor(team);
+  const rot = JSON.parse(JSON.stringify(seating));
+  const court = new Map(playing.map(pid => [pid, 0]));
+  const warnings = [];
+
+  for (let t = 0; t < turns; t++) {
+    if (t) rotateRing(rot, fmt, "cw");
+    courtZones(fmt).forEach(pos => {
+      const pid = rot.positions[String(pos)];
+      if (court.has(pid)) court.set(pid, court.get(pid) + 1);
+    });
+    warnings.push(rotationWarnings(team, rot).map(w => w.text));
+  }
+
+  const counts = [...court.values()];
+  const mean = counts.reduce((n, c) => n + c, 0) / Math.max(1, counts.length);
+  return {
+    court, warnings, turns,
+    spread: counts.length ? Math.max(...counts) - Math.min(...counts) : 0,
+    variance: counts.reduce((n, c) => n + (c - mean) ** 2, 0),
+  };
+}
+
+function fairScore(sim) {
+  const warned = sim.warnings.reduce((n, w) => n + w.length, 0);
+  return warned * 1e3 + sim.spread * 100 + sim.variance;
+}
+
+function shuffled(arr) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function generateFairPlay(team, playing, turns) {
+  const fmt = formatFor(team);
+  const absent = team.players.map(p => p.id).filter(pid => !playing.includes(pid));
+  const benchSize = Math.max(0, playing.length - courtZones(fmt).length);
+  const evaluate = (order, leftCount) => {
+    const seating = fairSeating(order, leftCount, fmt);
+    const sim = simulateFairness(team, seating, playing, turns);
+    return { seating, sim, order, leftCount, score: fairScore(sim) };
+  };
+
+  let best = null;
+  for (let r = 0; r < FAIR_RESTARTS; r++) {
+    let cur = evaluate(shuffled(playing), Math.floor(benchSize / 2));
+    for (let i = 0; i < FAIR_STEPS && cur.score > 0; i++) {
+      const order = [...cur.order];
+      let leftCount = cur.leftCount;
+      if (benchSize && Math.random() < 0.2) {
+        leftCount = clamp(leftCount + (Math.random() < 0.5 ? -1 : 1), 0, benchSize);
+      } else {
+        const a = Math.floor(Math.random() * order.length);
+        const b = Math.floor(Math.random() * order.length);
+        [order[a], order[b]] = [order[b], order[a]];
+      }
+      // Equal scores are accepted too, so the climb can drift across plateaus
+      const next = evaluate(order, leftCount);
+      if (next.score <= cur.score) cur = next;
+    }
+    if (!best || cur.score < best.score) best = cur;
+  }
+
+  return { seating: best.seating, sim: best.sim, playing, absent, turns };
+}
+
+function explainFairPlay(team, plan) {
+  const fmt = formatFor(team);
+  const { sim } = plan;
+  const label = (pid) => {
+    const p = findPlayer(team, pid);
+    return p ? `#${p.number} ${p.name}` : "?";
+  };
+  const lines = [];
+
+  if (!plan.playing.length) return "Pick at least one player.";
+
+  const counts = [...sim.court.values()];
+  const min = Math.min(...counts);
+  const max = Math.max(...counts);
+  lines.push(min === max
+    ? `${plan.playing.length} players over ${plan.turns} rotations: everyone is on court ${max} turns.`
+    : `${plan.playing.length} players over ${plan.turns} rotations: everyone is on court ${min}–${max} turns.`);
+  if (min !== max) {
+    const slots = Math.min(plan.playing.length, courtZones(fmt).length) * plan.turns;
+    const byCount = (n) => plan.playing.filter(pid => sim.court.get(pid) === n).map(label).join(", ");
+    lines.push(slots % plan.playing.length
+      ? `${slots} court turns can't be split evenly between ${plan.playing.length} players.`
+      : "The ring order and the setter rule keep this from being fully even.");
+    lines.push(`Most time (${max}): ${byCount(max)}.`);
+    lines.push(`Least time (${min}): ${byCount(min)}.`);
+  }
+
+  const warned = sim.warnings.filter(w => w.length).length;
+  if (!warned) {
+    lines.push("No role warnings (setters, liberos) in any of the rotations.");
+  } else {
+    const texts = [...new Set(sim.warnings.flat())];
+    lines.push(`Role warnings remain in ${warned} of ${sim.turns} rotations (${texts.join("; ")}). ` +
+      "Try again for another arrangement, or change who is playing.");
+  }
+
+  if (!benchRotates(fmt)) {
+    lines.push(`Benches don't rotate in ${fmt.label}, so bench players only come on as substitutes.`);
+  } else {
+    // Clockwise the left queue releases from the top, the right queue from the bottom
+    const left = plan.seating.leftBench;
+    const right = [...plan.seating.rightBench].reverse();
+    if (left.length) lines.push(`Next in from the left bench (${benchNumber(team, "left")}): ${left.map(label).join(", ")}.`);
+    if (right.length) lines.push(`Next in from the right bench (${benchNumber(team, "right")}): ${right.map(label).join(", ")}.`);
+  }
+
+  if (plan.absent.length) {
+    lines.push(`Sitting out: ${plan.absent.map(label).join(", ")}. They stay out of the rotation until you bring them back in the Players card.`);
+  }
+
+  return lines.join("\n");
+}
+
+// The generated seating after each turn, as ordinary (editable) rotations
+function fairRotations(team, plan, mesh) {
+  const fmt = formatFor(team);
+  const rot = JSON.parse(JSON.stringify(plan.seating));
+  return Array.from({ length: plan.turns }, (_, t) => {
+    if (t) rotateRing(rot, fmt, "cw");
+    return {
+      id: uid(),
+      name: `Fair play ${t + 1}`,
+      ...JSON.parse(JSON.stringify(rot)),
+      ...(plan.absent.length ? { out: [...plan.absent] } : {}),
+      mesh: JSON.parse(JSON.stringify(mesh)),
+    };
+  });
+}
+
+function fairPlaying() {
+  return Array.from(fairPlayers.querySelectorAll("input:checked")).map(cb => cb.value);
+}
+
+function runFairPlay() {
+  clearTimeout(runFairPlay._t);
+  if (fairBackdrop.hidden) return;
+  const team = getTeam();
+  const turns = clamp(Math.round(Number(fairTurns.value)) || 1, 1, 12);
+  fairTurns.value = turns;
+  fairPlan = generateFairPlay(team, fairPlaying(), turns);
+  fairExplain.textContent = explainFairPlay(team, fairPlan);
+  btnFairApply.disabled = !fairPlan.playing.length;
+}
+
+// Regenerate once the coach stops clicking; the search is too slow to run per checkbox
+function scheduleFairPlay() {
+  clearTimeout(runFairPlay._t);
+  fairPlan = null;
+  btnFairApply.disabled = true;
+  fairExplain.textContent = "Working…";
+  runFairPlay._t = setTimeout(runFairPlay, FAIR_DELAY_MS);
+}
+
+function openFairPlay() {
+  const team = getTeam();
+
+  fairPlayers.innerHTML = "";
+  team.players.forEach(p => {
+    const chip = document.createElement("label");
+    chip.className = "roleChip";
+
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.value = p.id;
+    // Liberos don't take part in the rotation; they're set per rotation in the Libero card
+    cb.checked = !(hasRole(p, "L") && (p.roles || []).length === 1);
+    cb.addEventListener("change", scheduleFairPlay);
+
+    const txt = document.createElement("span");
+    txt.textContent = `#${p.number} ${p.name}`;
+
+    chip.appendChild(cb);
+    chip.appendChild(txt);
+    fairPlayers.appendChild(chip);
+  });
+
+  fairTurns.value = courtZones(formatFor(team)).length;
+  fairBackdrop.hidden = false;
+  scheduleFairPlay();
+}
+function closeFairPlay() {
+  clearTimeout(runFairPlay._t);
+  fairBackdrop.hidden = true;
+  fairPlan = null;
+}
+
+// --------- Player Modal ---------
+/**
+ * Profile fields beyond number/name/roles are optional and only stored when set:
+ * nickname, hand ("R" | "L"), photo (small JPEG data URL) and guardian { name, phone, email }.
+ */
+const PHOTO_SIZE = 160;
+
+// Square-crop and shrink a picked image so it stays small in storage
+async function resizePhoto(file, size = PHOTO_SIZE) {
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const side = Math.min(img.naturalWidth, img.naturalHeight);
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    canvas.getContext("2d").drawImage(
+      img,
+      (img.naturalWidth - side) / 2, (img.naturalHeight - side) / 2, side, side,
+      0, 0, size, size,
+    );
+    return canvas.toDataURL("image/jpeg", 0.8);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function renderPhotoPreview(number) {
+  playerPhotoPreview.innerHTML = "";
+  if (modalPhoto) {
+    const img = document.createElement("img");
+    img.src = modalPhoto;
+    img.alt = "Player photo";
+    playerPhotoPreview.appendChild(img);
+  } else {
+    playerPhotoPreview.textContent = number;
+  }
+  if (btnRemovePhoto) btnRemovePhoto.hidden = !modalPhoto;
+}
+
+function openPlayerModal(playerId) {
+  const team = getTeam();
+  const player = findPlayer(team, playerId);
+  if (!player) return;
+
+  modalPlayerId = playerId;
+  modalPhoto = player.photo || "";
+  playerNumberInput.value = player.number;
+  playerNameInput.value = player.name;
+  playerNicknameInput.value = player.nickname || "";
+  playerHandSelect.value = player.hand || "";
+  guardianNameInput.value = player.guardian?.name || "";
+  guardianPhoneInput.value = player.guardian?.phone || "";
+  guardianEmailInput.value = player.guardian?.email || "";
+  renderPhotoPreview(player.number);
+
+  playerRolesInput.innerHTML = "";
+  ROLE_KEYS.forEach(role => {
+    const chip = document.createElement("label");
+    chip.className = "roleChip";
+
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.value = role;
+    cb.checked = hasRole(player, role);
+
+    const txt = document.createElement("span");
+    txt.textContent = ROLES[role];
+
+    chip.appendChild(cb);
+    chip.appendChild(txt);
+    playerRolesInput.appendChild(chip);
+  });
+
+  modalBackdrop.hidden = false;
+  requestAnimationFrame(() => playerNameInput.focus());
+}
+function closeModal() {
+  modalBackdrop.hidden = true;
+  modalPlayerId = null;
+  modalPhoto = null;
+}
+btnCloseModal?.addEventListener("click", (e) => { e.stopPropagation(); closeModal(); });
+btnCancelModal?.addEventListener("click", (e) => { e.stopPropagation(); closeModal(); });
+modalBackdrop?.addEventListener("click", (e) => { if (e.target === modalBackdrop) closeModal(); });
+
+btnSavePlayerName?.addEventListener("click", () => {
+  const team = getTeam();
+  const p = findPlayer(team, modalPlayerId);
+  if (!p) return;
+
+  const number = Math.round(Number(playerNumberInput.value));
+  if (playerNumberInput.value === "" || !Number.isFinite(number) || number < 0 || number > 99) {
+    alert("Jersey numbers go from 0 to 99.");
+    return;
+  }
+  const clash = team.players.find(x => x !== p && Number(x.number) === number);
+  if (clash && !confirm(`#${number} is already ${clash.name}. Use it anyway?`)) return;
+  p.number = number;
+
+  const name = (playerNameInput.value || "").trim();
+  if (name.length) p.name = name;
+
+  // Optional profile fields are dropped rather than stored empty
+  const setOptional = (obj, key, value) => { if (value) obj[key] = value; else delete obj[key]; };
+  setOptional(p, "nickname", playerNicknameInput.value.trim());
+  setOptional(p, "hand", playerHandSelect.value);
+  setOptional(p, "photo", modalPhoto);
+  const guardian = {};
+  setOptional(guardian, "name", guardianNameInput.value.trim());
+  setOptional(guardian, "phone", guardianPhoneInput.value.trim());
+  setOptional(guardian, "email", guardianEmailInput.value.trim());
+  setOptional(p, "guardian", Object.keys(guardian).length ? guardian : null);
+
+  p.roles = Array.from(playerRolesInput.querySelectorAll("input:checked")).map(cb => cb.value);
+  if (hasRole(p, "L") && team.players.filter(x => x !== p && hasRole(x, "L")).length >= MAX_LIBEROS) {
+    alert(`A team can mark at most ${MAX_LIBEROS} liberos.`);
+    p.roles = p.roles.filter(r => r !== "L");
+  }
+  team.rotations.forEach(r => normalizePlayerMembership(team, r));
+
+  saveState();
+  closeModal();
+  render();
+});
+playerNameInput?.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") btnSavePlayerName.click();
+  if (e.key === "Escape") closeModal();
+});
+
+btnPickPhoto?.addEventListener("click", () => playerPhotoInput?.click());
+btnRemovePhoto?.addEventListener("click", () => {
+  modalPhoto = "";
+  renderPhotoPreview(playerNumberInput.value);
+});
+playerPhotoInput?.addEventListener("change", async () => {
+  const file = playerPhotoInput.files?.[0];
+  playerPhotoInput.value = "";
+  if (!file) return;
+
+  try {
+    modalPhoto = await resizePhoto(file);
+    renderPhotoPreview(playerNumberInput.value);
+  } catch (e) {
+    console.error(e);
+    alert("Unable to read that image.");
+  }
+});
+
+// --------- Delete player ---------
+function deletePlayer(playerId) {
+  const team = getTeam();
+  const p = team.players.find(x => x.id === playerId);
+  if (!p) return;
+
+  if (!confirm(`Delete player #${p.number} (${p.name})?\nThis removes them from the roster and all rotations.`)) return;
+
+  team.players = team.players.filter(x => x.id !== playerId);
+
+  team.rotations.forEach(r => {
+    for (const k of Object.keys(r.positions || {})) {
+      if (r.positions[k] === playerId) r.positions[k] = null;
+    }
+    removeFromArray(r.leftBench, playerId);
+    removeFromArray(r.rightBench, playerId);
+    normalizePlayerMembership(team, r);
+  });
+
+  saveState();
+  render();
+}
+
+// --------- Roster import ---------
+/**
+ * Reads a pasted or uploaded roster. CSV (comma, semicolon or tab separated, quoted
+ * fields allowed) is mapped column by column; anything else is read as team-sheet
+ * lines such as "7 Ana Lopez OH", "#12. Kim Park (L/DS)" or "Ana Lopez 7".
+ * Each row becomes { number, numberText, name, nickname, roles, unknownRoles, hand };
+ * number is null when missing and NaN when it isn't a jersey number.
+ */
+const ROSTER_FIELDS = { "": "Ignore", number: "Number", name: "Name", nickname: "Nickname", roles: "Roles", hand: "Hand" };
+const ROSTER_HEADERS = {
+  number: ["#", "no", "nr", "num", "number", "jersey", "shirt"],
+  name: ["name", "player", "full name", "first name", "last name", "first", "last", "surname"],
+  nickname: ["nickname", "nick", "display name"],
+  roles: ["role", "roles", "position", "positions", "pos"],
+  hand: ["hand", "handed", "dominant hand"],
+};
+const ROLE_ALIASES = {
+  s: "S", setter: "S",
+  oh: "OH", outside: "OH", "outside hitter": "OH", "left side": "OH",
+  mb: "MB", mh: "MB", middle: "MB", "middle blocker": "MB", "middle hitter": "MB",
+  opp: "OPP", op: "OPP", rs: "OPP", opposite: "OPP", "right side": "OPP",
+  l: "L", lib: "L", libero: "L",
+  ds: "DS", "defensive specialist": "DS",
+};
+const HAND_ALIASES = { r: "R", rh: "R", right: "R", "right-handed": "R", l: "L", lh: "L", left: "L", "left-handed": "L" };
+
+// "OH/L" or "Setter, DS" -> ["S", "DS"]; null when any part isn't a known role
+function parseRoles(text) {
+  const parts = String(text || "").toLowerCase().split(/[,/;+&|]+/)
+    .map(part => part.replace(/[().[\]]/g, "").replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+  if (!parts.length || !parts.every(part => ROLE_ALIASES[part])) return null;
+  const roles = new Set(parts.map(part => ROLE_ALIASES[part]));
+  return ROLE_KEYS.filter(r => roles.has(r));
+}
+
+function parseJersey(text) {
+  const clean = String(text || "").trim().replace(/^#/, "");
+  if (!clean) return null;
+  return /^\d{1,2}$/.test(clean) ? Number(clean) : NaN;
+}
+
+function rosterEntry({ number = "", name = "", nickname = "", roles = "", hand = "" }) {
+  const rolesText = roles.trim();
+  const parsedRoles = rolesText ? parseRoles(rolesText) : null;
+  return {
+    number: parseJersey(number),
+    numberText: number.trim(),
+    name: name.replace(/\s+/g, " ").trim(),
+    nickname: nickname.trim() || null,
+    roles: parsedRoles,
+    unknownRoles: rolesText && !parsedRoles ? rolesText : null,
+    hand: HAND_ALIASES[hand.trim().toLowerCase()] || null,
+  };
+}
+
+function parseCsv(text, delim) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && !field.trim()) {
+      quoted = true;
+      field = "";
+    } else if (c === delim) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.map(r => r.map(f => f.trim())).filter(r => r.some(Boolean));
+}
+
+// The first delimiter that splits every line into the same number (2+) of fields
+function detectCsvDelimiter(text) {
+  return ["\t", ";", ","].find(delim => {
+    const widths = parseCsv(text, delim).map(r => r.length);
+    return widths.length && widths[0] > 1 && widths.every(w => w === widths[0]);
+  }) || null;
+}
+
+function rosterHeaderField(cell) {
+  const key = cell.toLowerCase().replace(/[^a-z# -]/g, "").replace(/\s+/g, " ").trim();
+  return Object.keys(ROSTER_HEADERS).find(field => ROSTER_HEADERS[field].includes(key)) || "";
+}
+
+// Without a header each field goes to the first free column whose values all look like it
+function guessRosterColumns(rows) {
+  const width = Math.max(0, ...rows.map(r => r.length));
+  const mapping = Array(width).fill("");
+  const take = (field, test) => {
+    const col = mapping.findIndex((f, i) => {
+      const values = rows.map(r => r[i] || "").filter(Boolean);
+      return !f && values.length && values.every(test);
+    });
+    if (col >= 0) mapping[col] = field;
+  };
+
+  take("number", v => Number.isFinite(parseJersey(v)));
+  take("roles", v => !!parseRoles(v));
+  take("hand", v => !!HAND_ALIASES[v.toLowerCase()]);
+  take("name", v => /\p{L}/u.test(v));
+  return mapping;
+}
+
+function rosterEntriesFromCsv(rows, mapping) {
+  return rows.map(cells => {
+    const fields = {};
+    cells.forEach((cell, i) => {
+      const field = mapping[i];
+      // Several columns can feed one field, e.g. first and last name
+      if (field && cell) fields[field] = fields[field] ? `${fields[field]} ${cell}` : cell;
+    });
+    return rosterEntry(fields);
+  });
+}
+
+function parseSheetLine(line) {
+  let number = "";
+  let rest = line.trim();
+  const lead = rest.match(/^#?(\d+)(?:[.):,-]\s*|\s+)(.+)$/);
+  const trail = !lead && rest.match(/^(.+?)\s+#?(\d+)$/);
+  if (lead) [, number, rest] = lead;
+  else if (trail) [, rest, number] = trail;
+
+  // Roles come off the end only when they are set apart: "Ana Lopez - OH/L",
+  // "Kim Park (middle blocker)", or a code like "Jo Kim OH". "Maria S" keeps her initial.
+  let name = rest.replace(/^[-–:|]\s*/, "");
+  let roles = "";
+  const marked = name.match(/^(.+?)\s*[([]([^)\]]+)[)\]]$/) || name.match(/^(.+)\s[-–|/]\s*(.+)$/);
+  const code = name.match(/^(.+)\s+([A-Z][A-Z/]+)$/);
+  if (marked && parseRoles(marked[2])) [, name, roles] = marked;
+  else if (code && parseRoles(code[2])) [, name, roles] = code;
+
+  return rosterEntry({ number, name: name.replace(/[,;]+$/, ""), roles });
+}
+
+function rosterLines(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(parseSheetLine)
+    .filter(e => e.name || e.numberText);
+}
+
+/**
+ * Parses the import box. A format of "auto" uses CSV when a delimiter splits every
+ * line evenly. The column mapping is guessed again only when `reguess` is set, so
+ * choices made in the mapping selects survive edits to the header checkbox.
+ */
+function readRosterText(text, format, draft, reguess) {
+  const delim = format === "lines" ? null : detectCsvDelimiter(text) || (format === "csv" ? "," : null);
+  if (!delim) return { csv: null, header: false, mapping: [], entries: rosterLines(text) };
+
+  const csv = parseCsv(text, delim);
+  let { header, mapping } = draft || {};
+  if (reguess || !draft?.csv) {
+    const named = (csv[0] || []).map(rosterHeaderField);
+    header = named.some(Boolean);
+    mapping = header ? named : guessRosterColumns(csv);
+  }
+  const entries = rosterEntriesFromCsv(header ? csv.slice(1) : csv, mapping);
+  return { csv, header, mapping, entries: entries.filter(e => e.name || e.numberText) };
+}
+
+/**
+ * Matches imported rows to the roster (by jersey number, or by name for rows without
+ * one) and works out what each row will do. "merge" updates matches and adds the rest;
+ * "replace" also removes players who aren't in the list. Duplicate or invalid numbers
+ * block the import; rows without a number get the lowest free one.
+ */
+function planRosterImport(team, entries, mode) {
+  const counts = new Map();
+  entries.forEach(e => { if (Number.isFinite(e.number)) counts.set(e.number, (counts.get(e.number) || 0) + 1); });
+
+  const matched = new Set();
+  const rows = entries.map(entry => {
+    const row = { entry, match: null, number: entry.number, roles: entry.roles, issues: [], notes: [] };
+    if (Number.isNaN(entry.number)) row.issues.push(`“${entry.numberText}” isn't a jersey number (0–99)`);
+    else if (counts.get(entry.number) > 1) row.issues.push(`Duplicate #${entry.number}`);
+    if (entry.unknownRoles) row.notes.push(`Unknown role “${entry.unknownRoles}”`);
+
+    const key = entry.name.toLowerCase();
+    row.match = team.players.find(p => !matched.has(p.id) && (entry.number !== null
+      ? Number(p.number) === entry.number
+      : key && String(p.name).toLowerCase() === key)) || null;
+    if (row.match) {
+      matched.add(row.match.id);
+      if (row.number === null) row.number = Number(row.match.number);
+    }
+    return row;
+  });
+
+  const kept = mode === "merge" ? team.players.filter(p => !matched.has(p.id)) : [];
+  const removed = mode === "replace" ? team.players.filter(p => !matched.has(p.id)) : [];
+
+  const used = new Set([...kept.map(p => Number(p.number)), ...rows.map(r => r.number).filter(Number.isFinite)]);
+  let libs = kept.filter(p => hasRole(p, "L")).length;
+  rows.forEach(row => {
+    if (row.number === null) {
+      let n = 1;
+      while (used.has(n)) n++;
+      if (n > 99) row.issues.push("No free jersey number");
+      else {
+        row.number = n;
+        used.add(n);
+        row.notes.push(`Gets #${n}`);
+      }
+    }
+
+    const roles = row.roles || row.match?.roles || [];
+    if (!roles.includes("L")) return;
+    if (libs >= MAX_LIBEROS) {
+      row.roles = roles.filter(r => r !== "L");
+      row.notes.push(`Not marked libero (max ${MAX_LIBEROS})`);
+    } else libs++;
+  });
+
+  return { mode, rows, removed, blocked: !rows.length || rows.some(r => r.issues.length) };
+}
+
+function applyRosterImport(team, plan) {
+  const added = [];
+  const players = plan.rows.map(row => {
+    const e = row.entry;
+    const p = row.match || { id: uid(), name: "" };
+    if (!row.match) added.push(p);
+
+    p.number = row.number;
+    p.name = e.name || p.name || String(row.number);
+    if (e.nickname) p.nickname = e.nickname;
+    if (e.hand) p.hand = e.hand;
+    if (row.roles) p.roles = row.roles;
+    return p;
+  });
+
+  if (plan.mode === "replace") {
+    // A zone freed by a removed player goes to a new player with one of their roles,
+    // otherwise it stays empty; everyone else ends up on the bench
+    const removed = new Map(plan.removed.map(p => [p.id, p]));
+    team.rotations.forEach(r => {
+      const placed = new Set();
+      for (const k of Object.keys(r.positions)) {
+        const old = removed.get(r.positions[k]);
+        if (!old) continue;
+        const heir = added.find(p => !placed.has(p.id) && (p.roles || []).some(role => hasRole(old, role)));
+        if (heir) placed.add(heir.id);
+        r.positions[k] = heir?.id || null;
+      }
+    });
+    team.players = players;
+  } else {
+    team.players.push(...added);
+  }
+
+  team.rotations.forEach(r => normalizePlayerMembership(team, r));
+  return { added: added.length, updated: players.length - added.length, removed: plan.removed.length };
+}
+
+function rosterMode() {
+  return rosterModeInputs.find(el => el.checked)?.value || "merge";
+}
+
+function renderRosterColumns() {
+  rosterCsvOptions.hidden = !rosterDraft.csv;
+  rosterColumns.innerHTML = "";
+  if (!rosterDraft.csv) return;
+
+  rosterHeader.checked = rosterDraft.header;
+  const sample = rosterDraft.csv[0] || [];
+  rosterDraft.mapping.forEach((field, i) => {
+    const label = document.createElement("label");
+
+    const sel = document.createElement("select");
+    sel.className = "select small";
+    sel.setAttribute("aria-label", `Column ${i + 1}`);
+    Object.entries(ROSTER_FIELDS).forEach(([value, text]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      sel.appendChild(opt);
+    });
+    sel.value = field;
+    sel.addEventListener("change", () => {
+      rosterDraft.mapping[i] = sel.value;
+      updateRosterImport(false);
+    });
+
+    const txt = document.createElement("span");
+    txt.textContent = sample[i] || `Column ${i + 1}`;
+    txt.title = txt.textContent;
+
+    label.appendChild(sel);
+    label.appendChild(txt);
+    rosterColumns.appendChild(label);
+  });
+}
+
+function renderRosterPreview(plan) {
+  rosterPreview.innerHTML = "";
+  const head = document.createElement("tr");
+  ["#", "Name", "Roles", "Hand", "Result"].forEach(text => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    head.appendChild(th);
+  });
+  rosterPreview.appendChild(head);
+
+  const addRow = (cells, className) => {
+    const tr = document.createElement("tr");
+    if (className) tr.className = className;
+    cells.forEach(text => {
+      const td = document.createElement("td");
+      td.textContent = String(text);
+      tr.appendChild(td);
+    });
+    rosterPreview.appendChild(tr);
+  };
+
+  plan.rows.forEach(row => {
+    const e = row.entry;
+    const p = row.match;
+    const roles = row.roles || p?.roles || [];
+    const result = row.issues.length ? row.issues
+      : [p ? `Updates #${p.number} ${p.name}` : "New player", ...row.notes];
+    addRow([
+      Number.isFinite(row.number) ? row.number : e.numberText,
+      (e.name || p?.name || String(row.number)) + (e.nickname ? ` (${e.nickname})` : ""),
+      roles.join(", "),
+      HANDS[e.hand || p?.hand] || "",
+      result.join(" • "),
+    ], row.issues.length ? "bad" : "");
+  });
+  plan.removed.forEach(p => addRow([p.number, p.name, (p.roles || []).join(", "), HANDS[p.hand] || "", "Removed"], "removed"));
+}
+
+function updateRosterImport(reguess) {
+  const team = getTeam();
+  rosterDraft = readRosterText(rosterText.value, rosterFormat.value, rosterDraft, reguess);
+  rosterDraft.plan = planRosterImport(team, rosterDraft.entries, rosterMode());
+  const { plan } = rosterDraft;
+
+  renderRosterColumns();
+  renderRosterPreview(plan);
+
+  const added = plan.rows.filter(r => !r.match).length;
+  const problems = plan.rows.filter(r => r.issues.length).length;
+  rosterSummary.textContent = !plan.rows.length
+    ? "Nothing to import yet."
+    : `${plan.rows.length} rows • ${added} new • ${plan.rows.length - added} updated`
+      + (plan.removed.length ? ` • ${plan.removed.length} removed` : "")
+      + (problems ? ` • fix ${problems} row(s) with duplicate or invalid numbers to import` : "");
+  btnConfirmRoster.disabled = plan.blocked;
+}
+
+function openRosterImport() {
+  rosterDraft = null;
+  rosterText.value = "";
+  rosterFormat.value = "auto";
+  updateRosterImport(true);
+  rosterBackdrop.hidden = false;
+  requestAnimationFrame(() => rosterText.focus());
+}
+function closeRosterImport() {
+  rosterBackdrop.hidden = true;
+  rosterDraft = null;
+}
+
+// --------- Sitting out ---------
+// A player sitting out leaves the court and bench queues of this rotation until brought back
+function toggleSittingOut(playerId) {
+  const team = getTeam();
+  const rot = getRotation(team);
+
+  if (rot.out?.includes(playerId)) {
+    removeFromArray(rot.out, playerId);
+  } else {
+    removeFromLocation(rot, locatePlayer(rot, playerId), playerId);
+    rot.out = [...(rot.out || []), playerId];
+  }
+  normalizePlayerMembership(team, rot);
+
+  saveState();
+  render();
+  announce(`${playerLabel(team, playerId)}: ${whereText(team, rot, playerId)}.`);
+}
+
+// --------- Formation phases ---------
+/**
+ * Besides the zone lineup ("base"), each rotation can keep free-positioned layouts
+ * for the phases of a rally. rot.formations[phase] maps a zone key to an {x, y}
+ * spot in the SVG viewBox, so whoever stands in that zone (after a sub, or the
+ * libero) takes the spot. Zones without a saved spot fall back to the zone centroid.
+ */
+const PHASES = {
+  base: "Zones",
+  receive: "Serve receive",
+  serve: "We serve",
+  defense: "Base defense",
+};
+
+function currentPhase() {
+  return PHASES[state.ui?.phase] ? state.ui.phase : "base";
+}
+
+function phaseSpot(rot, pos, fmt, phase = currentPhase()) {
+  const spot = phase !== "base" && rot.formations?.[phase]?.[String(pos)];
+  return spot || centroid(quadForPos(rot.mesh, pos, fmt));
+}
+
+function setPhaseSpot(rot, phase, pos, pt) {
+  rot.formations = rot.formations || {};
+  rot.formations[phase] = rot.formations[phase] || {};
+  rot.formations[phase][String(pos)] = {
+    x: Math.round(clamp(pt.x, 0, VB.w)),
+    y: Math.round(clamp(pt.y, 0, VB.h)),
+  };
+}
+
+// Court token wraps and bench tokens by player id (the elements animateTokens moves).
+function tokenElements() {
+  const map = new Map();
+  courtTokens.querySelectorAll(".courtTokenWrap").forEach(el => map.set(el.dataset.playerId, el));
+  [leftBenchList, rightBenchList].forEach(list => {
+    list?.querySelectorAll(".playerToken").forEach(el => map.set(el.dataset.playerId, el));
+  });
+  return map;
+}
+
+/**
+ * FLIP: measure every token, run `update` (which re-renders), then slide each token
+ * from its old place, so players visibly walk between zones and the bench queues.
+ */
+function animateTokens(update, duration = 350) {
+  const before = new Map();
+  tokenElements().forEach((el, pid) => before.set(pid, el.getBoundingClientRect()));
+
+  update();
+
+  if (window.matchMedia?.("(prefers-reduced-motion: reduce)").matches) return;
+  tokenElements().forEach((el, pid) => {
+    const from = before.get(pid);
+    if (!from || !el.animate) return;
+    const to = el.getBoundingClientRect();
+    const dx = from.left - to.left;
+    const dy = from.top - to.top;
+    if (!dx && !dy) return;
+
+    const base = el.classList.contains("courtTokenWrap") ? "translate(-50%, -50%)" : "";
+    el.animate(
+      [
+        { transform: `${base} translate(${dx}px, ${dy}px)`.trim() },
+        { transform: base || "none" },
+      ],
+      { duration, easing: "cubic-bezier(.2,.8,.2,1)" }
+    );
+  });
+}
+
+function setPhase(phase) {
+  if (!PHASES[phase] || phase === currentPhase()) return;
+  animateTokens(() => {
+    state.ui.phase = phase;
+    saveState();
+    render();
+  });
+}
+
+// Phases that describe the moment of serve, where the overlap rule applies.
+const SERVE_PHASES = ["receive", "serve"];
+
+/**
+ * Overlap rule at the moment of serve: in every column a player must be nearer the
+ * net than the one behind them, and in every row players must keep their left/right
+ * order. Only occupied zones are compared, and when we serve the server (standard
+ * position 1) may stand anywhere behind the end line. Returns [{ a, b, text }] with zone keys.
+ */
+function overlapViolations(team, rot, phase = currentPhase()) {
+  const fmt = formatFor(team);
+  if (!SERVE_PHASES.includes(phase) || fmt.overlap === false) return [];
+  const server = phase === "serve" ? servingZone(team) : null;
+  const spot = (pos) => (rot.positions[String(pos)] && pos !== server ? phaseSpot(rot, pos, fmt, phase) : null);
+  const label = (pos) => {
+    const p = findPlayer(team, rot.positions[String(pos)]);
+    return `#${p?.number ?? "?"} (${zoneNumber(team, pos)})`;
+  };
+  const out = [];
+
+  fmt.grid.forEach((row, r) => {
+    row.forEach((pos, c) => {
+      const here = spot(pos);
+      if (!here) return;
+
+      const right = row[c + 1];
+      if (right && spot(right) && here.x >= spot(right).x) {
+        out.push({ a: pos, b: right, text: `${label(pos)} must stay left of ${label(right)}` });
+      }
+
+      const behind = fmt.grid[r + 1]?.[c];
+      if (behind && spot(behind) && here.y >= spot(behind).y) {
+        out.push({ a: pos, b: behind, text: `${label(pos)} must be nearer the net than ${label(behind)}` });
+      }
+    });
+  });
+
+  return out;
+}
+
+function renderOverlaps(violations) {
+  if (!overlapList) return;
+  overlapList.innerHTML = "";
+
+  if (!SERVE_PHASES.includes(currentPhase())) {
+    overlapList.textContent = "Pick Serve receive or We serve to check overlaps.";
+    return;
+  }
+  if (formatFor(getTeam()).overlap === false) {
+    overlapList.textContent = "This format has no overlap rule.";
+    return;
+  }
+  if (!violations.length) {
+    overlapList.textContent = "✓ No overlaps";
+    return;
+  }
+  violations.forEach(v => {
+    const row = document.createElement("div");
+    row.className = "rotWarn";
+    row.textContent = `⚠ ${v.text}`;
+    overlapList.appendChild(row);
+  });
+}
+
+// --------- Rotation playback ---------
+/**
+ * Step through the team's saved rotations ("rotations") or one full turn of the
+ * current lineup ("cycle"). Like the shared view, playback parks the real state and
+ * works on a copy, so nothing it does is saved.
+ */
+const PLAYBACK_STEP_MS = 1600;
+
+function playbackSteps(team) {
+  if (playback.mode === "rotations") return team.rotations.length;
+  return formatFor(team).ring.filter(slot => typeof slot === "number").length + 1;
+}
+
+function startPlayback(mode) {
+  if (playback) stopPlayback();
+  const team = getTeam();
+  playback = {
+    ownState: state,
+    mode: mode || (team.rotations.length > 1 ? "rotations" : "cycle"),
+    step: 0,
+    speed: Number(playbackSpeed?.value) || 1,
+    playing: true,
+    timer: null,
+  };
+  state = JSON.parse(JSON.stringify(state));
+  if (playback.mode === "rotations") state.currentRotationId = getTeam().rotations[0].id;
+
+  animateTokens(render, 700 / playback.speed);
+  schedulePlayback();
+}
+
+function stopPlayback() {
+  if (!playback) return;
+  clearTimeout(playback.timer);
+  state = playback.ownState;
+  playback = null;
+  animateTokens(render);
+}
+
+function schedulePlayback() {
+  clearTimeout(playback.timer);
+  if (!playback.playing) return;
+  playback.timer = setTimeout(() => {
+    if (!playback) return;
+    stepPlayback();
+    schedulePlayback();
+  }, PLAYBACK_STEP_MS / playback.speed);
+}
+
+function stepPlayback() {
+  const team = getTeam();
+  if (playback.step + 1 >= playbackSteps(team)) {
+    playback.playing = false;
+    render();
+    return;
+  }
+
+  playback.step++;
+  animateTokens(() => {
+    if (playback.mode === "rotations") state.currentRotationId = team.rotations[playback.step].id;
+    else applyRotation(team, getRotation(team), "cw");
+    render();
+  }, 700 / playback.speed);
+}
+
+function togglePlayback() {
+  if (!playback) return;
+  // Pressing play at the end starts over from the first step
+  if (!playback.playing && playback.step + 1 >= playbackSteps(getTeam())) {
+    startPlayback(playback.mode);
+    return;
+  }
+  playback.playing = !playback.playing;
+  schedulePlayback();
+  render();
+}
+
+function renderPlayback(team) {
+  if (!playbackBar) return;
+  playbackBar.hidden = !playback;
+  if (!playback) return;
+
+  playbackMode.value = playback.mode;
+  btnPlayPause.textContent = playback.playing ? "❚❚ Pause" : "▶ Play";
+  playbackStep.textContent = `${playback.step + 1} / ${playbackSteps(team)}`;
+}
+
+// --------- Drawing layer ---------
+/**
+ * Per-rotation annotations in viewBox coordinates (rot.drawings), drawn on #drawSvg
+ * above the tokens. Drawing has its own undo stack per rotation (drawUndo) so a
+ * coach can take back strokes without touching the lineup history.
+ */
+const DRAW_TOOLS = {
+  pen: "Pen",
+  arrow: "Arrow",
+  circle: "Circle",
+  text: "Text",
+};
+const DRAW_TYPES = Object.keys(DRAW_TOOLS);
+const DRAW_COLORS = ["#ffd166", "#ff5a5a", "#4aa3ff", "#ffffff"];
+
+// Known type with its points inside the viewBox; imports drop anything else and share links skip it
+function isValidDrawing(d) {
+  const inside = (x, y) => Number.isFinite(x) && Number.isFinite(y) && x >= 0 && x <= VB.w && y >= 0 && y <= VB.h;
+  if (!isPlainObject(d)) return false;
+  if (d.type === "pen") return Array.isArray(d.pts) && d.pts.length > 0 && d.pts.every(p => inside(p?.x, p?.y));
+  if (d.type === "arrow") return inside(d.x1, d.y1) && inside(d.x2, d.y2);
+  if (d.type === "circle") return inside(d.x, d.y) && Number.isFinite(d.r) && d.r >= 0;
+  if (d.type === "text") return inside(d.x, d.y) && typeof d.text === "string";
+  return false;
+}
+
+function drawPoint(e) {
+  const p = clientToSvgPoint(e);
+  return { x: Math.round(clamp(p.x, 0, VB.w)), y: Math.round(clamp(p.y, 0, VB.h)) };
+}
+
+function pushDrawUndo(rot) {
+  const stack = drawUndo.get(rot.id) || [];
+  stack.push(JSON.stringify(rot.drawings || []));
+  if (stack.length > HISTORY_LIMIT) stack.shift();
+  drawUndo.set(rot.id, stack);
+}
+
+function addDrawing(rot, shape) {
+  pushDrawUndo(rot);
+  rot.drawings = [...(rot.drawings || []), shape];
+  saveState();
+  render();
+}
+
+function undoDrawing() {
+  const rot = getRotation(getTeam());
+  const stack = drawUndo.get(rot.id);
+  if (!stack?.length) { setStatus("No drawing to undo"); return; }
+  rot.drawings = JSON.parse(stack.pop());
+  saveState();
+  render();
+}
+
+function clearDrawings() {
+  const rot = getRotation(getTeam());
+  if (!rot.drawings?.length) return;
+  if (!confirm(`Clear all drawings on "${rot.name}"?`)) return;
+  pushDrawUndo(rot);
+  rot.drawings = [];
+  saveState();
+  render();
+}
+
+function svgEl(tag, attrs = {}, text = null) {
+  const node = document.createElementNS("http://www.w3.org/2000/svg", tag);
+  for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, v);
+  if (text !== null) node.textContent = text;
+  return node;
+}
+
+/**
+ * SVG element for one drawing. Styling is inline (not CSS) and arrowheads are plain
+ * polygons, so the same elements work inside the standalone lineup card.
+ */
+function drawingElement(d) {
+  const stroke = { fill: "none", stroke: d.color, "stroke-width": 8, "stroke-linecap": "round", "stroke-linejoin": "round" };
+
+  if (d.type === "pen") {
+    return svgEl("polyline", { ...stroke, points: d.pts.map(p => `${p.x},${p.y}`).join(" ") });
+  }
+  if (d.type === "circle") {
+    return svgEl("circle", { ...stroke, cx: d.x, cy: d.y, r: d.r });
+  }
+  if (d.type === "text") {
+    return svgEl("text", {
+      fill: d.color, x: d.x, y: d.y, "text-anchor": "middle", "dominant-baseline": "middle",
+      "font-size": 40, "font-weight": 900, "paint-order": "stroke", stroke: "rgba(11,18,32,.65)", "stroke-width": 6,
+    }, d.text);
+  }
+
+  const g = svgEl("g");
+  const angle = Math.atan2(d.y2 - d.y1, d.x2 - d.x1);
+  const head = 34;
+  const wing = (a) => `${d.x2 - head * Math.cos(angle + a)},${d.y2 - head * Math.sin(angle + a)}`;
+  g.appendChild(svgEl("line", { ...stroke, x1: d.x1, y1: d.y1, x2: d.x2, y2: d.y2 }));
+  g.appendChild(svgEl("polygon", { fill: d.color, points: `${d.x2},${d.y2} ${wing(0.45)} ${wing(-0.45)}` }));
+  return g;
+}
+
+function renderDrawings(rot, preview = null) {
+  if (!drawSvg) return;
+  drawSvg.innerHTML = "";
+  drawSvg.classList.toggle("active", !!drawTool && !playback);
+  drawSvg.style.display = rot.drawingsHidden ? "none" : "";
+
+  [...(rot.drawings || []), ...(preview ? [preview] : [])].forEach(d => drawSvg.appendChild(drawingElement(d)));
+}
+
+// --------- Lineup card ---------
+/**
+ * Clean lineup image built from the state instead of screenshotting the page:
+ * team and rotation name, the court with zones, tokens and drawings, and both
+ * benches. Portrait stacks the benches under the court, square puts them beside it.
+ * `court` is where the court rectangle (60..940 x 220..1340 in the mesh) lands.
+ */
+const CARD_LAYOUTS = {
+  portrait: { w: 1080, h: 1350, court: { x: 220, y: 150, w: 640 }, benches: "below" },
+  square: { w: 1080, h: 1080, court: { x: 40, y: 130, w: 720 }, benches: "side" },
+};
+const CARD_FONT = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+
+function buildLineupCard(team, rot, layout = "portrait") {
+  const L = CARD_LAYOUTS[layout] || CARD_LAYOUTS.portrait;
+  const fmt = formatFor(team);
+  const box = { ...L.court, h: L.court.w * 1120 / 880 };
+  const k = box.w / 880;
+  const at = (p) => ({ x: box.x + (p.x - 60) * k, y: box.y + (p.y - 220) * k });
+
+  const svg = svgEl("svg", { width: L.w, height: L.h, viewBox: `0 0 ${L.w} ${L.h}`, "font-family": CARD_FONT });
+  svg.appendChild(svgEl("rect", { width: L.w, height: L.h, fill: "#0b1220" }));
+
+  // Header
+  svg.appendChild(svgEl("text", { x: 40, y: 64, fill: "#eaf0ff", "font-size": 44, "font-weight": 900 }, `🏐 ${team.name}`));
+  svg.appendChild(svgEl("text", { x: 40, y: 108, fill: "#9fb0d3", "font-size": 28, "font-weight": 700 },
+    `${rot.name} • ${fmt.label}${currentPhase() !== "base" ? ` • ${PHASES[currentPhase()]}` : ""}`));
+
+  // Court, zones and net
+  svg.appendChild(svgEl("rect", { x: box.x, y: box.y, width: box.w, height: box.h, rx: 14, fill: "#c98b2f" }));
+  courtZones(fmt).forEach(pos => {
+    const pts = quadForPos(rot.mesh, pos, fmt).map(at);
+    svg.appendChild(svgEl("polygon", {
+      points: pts.map(p => `${p.x},${p.y}`).join(" "),
+      fill: "rgba(11,18,32,.10)", stroke: "rgba(255,255,255,.55)", "stroke-width": 2, "stroke-dasharray": "8 8",
+    }));
+    svg.appendChild(svgEl("text", {
+      x: pts[0].x + 12, y: pts[0].y + 30, fill: "rgba(255,255,255,.75)", "font-size": 24, "font-weight": 900,
+    }, String(zoneNumber(team, pos))));
+  });
+  svg.appendChild(svgEl("rect", { x: box.x, y: box.y - 6, width: box.w, height: 10, fill: "#eaf0ff" }));
+
+  // Drawings share the court's coordinate system
+  if (rot.drawings?.length && !rot.drawingsHidden) {
+    const g = svgEl("g", { transform: `translate(${box.x} ${box.y}) scale(${k}) translate(-60 -220)` });
+    rot.drawings.forEach(d => g.appendChild(drawingElement(d)));
+    svg.appendChild(g);
+  }
+
+  const token = (x, y, p, w = 190) => {
+    const g = svgEl("g", { transform: `translate(${x - w / 2} ${y - 30})` });
+    g.appendChild(svgEl("rect", {
+      width: w, height: 60, rx: 16,
+      fill: hasRole(p, "L") ? "#e0782a" : "#5964d8", stroke: "rgba(255,255,255,.35)", "stroke-width": 2,
+    }));
+    g.appendChild(svgEl("text", { x: 16, y: 40, fill: "#ffffff", "font-size": 28, "font-weight": 900 }, String(p.number)));
+    g.appendChild(svgEl("text", { x: 70, y: 40, fill: "#ffffff", "font-size": 24, "font-weight": 700 }, tokenNameFor(p)));
+    return g;
+  };
+
+  courtZones(fmt).forEach(pos => {
+    const p = findPlayer(team, rot.positions[String(pos)]);
+    if (!p) return;
+    const c = at(phaseSpot(rot, pos, fmt));
+    svg.appendChild(token(c.x, c.y, p, Math.min(190, box.w / fmt.grid[0].length - 16)));
+  });
+
+  // Benches
+  const bench = (side, x, y, w, h) => {
+    svg.appendChild(svgEl("text", { x, y: y + 28, fill: "#eaf0ff", "font-size": 26, "font-weight": 900 },
+      `${benchNumber(team, side)} • ${benchName(side)}`));
+    const ids = side === "left" ? rot.leftBench : rot.rightBench;
+    const fits = Math.max(1, Math.floor((h - 50) / 70));
+    ids.slice(0, fits).forEach((pid, i) => {
+      const p = findPlayer(team, pid);
+      if (p) svg.appendChild(token(x + w / 2, y + 80 + i * 70, p, w));
+    });
+    if (ids.length > fits) {
+      svg.appendChild(svgEl("text", { x, y: y + 60 + fits * 70, fill: "#9fb0d3", "font-size": 22 }, `+${ids.length - fits} more`));
+    }
+  };
+
+  if (L.benches === "below") {
+    const top = box.y + box.h + 30;
+    bench("left", 40, top, 480, L.h - top - 20);
+    bench("right", 560, top, 480, L.h - top - 20);
+  } else {
+    const x = box.x + box.w + 30;
+    const w = L.w - x - 40;
+    const half = box.h / 2;
+    bench("left", x, box.y, w, half);
+    bench("right", x, box.y + half, w, half);
+  }
 
-  modalBackdrop.hidden = false;
-  requestAnimationFrame(() => playerNameInput.focus());
+  return new XMLSerializer().serializeToString(svg);
 }
-function closeModal() {
-  modalBackdrop.hidden = true;
-  modalPlayerId = null;
+
+/** Rasterise a lineup card: SVG -> <img> -> (offscreen) canvas -> PNG blob. */
+async function lineupCardPng(svgText, layout = "portrait") {
+  const L = CARD_LAYOUTS[layout] || CARD_LAYOUTS.portrait;
+  const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+
+    if (typeof OffscreenCanvas !== "undefined") {
+      const canvas = new OffscreenCanvas(L.w, L.h);
+      canvas.getContext("2d").drawImage(img, 0, 0, L.w, L.h);
+      return await canvas.convertToBlob({ type: "image/png" });
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = L.w;
+    canvas.height = L.h;
+    canvas.getContext("2d").drawImage(img, 0, 0, L.w, L.h);
+    return await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
 }
-btnCloseModal?.addEventListener("click", (e) => { e.stopPropagation(); closeModal(); });
-btnCancelModal?.addEventListener("click", (e) => { e.stopPropagation(); closeModal(); });
-modalBackdrop?.addEventListener("click", (e) => { if (e.target === modalBackdrop) closeModal(); });
 
-btnSavePlayerName?.addEventListener("click", () => {
-  const team = getTeam();
-  const p = findPlayer(team, modalPlayerId);
-  if (!p) return;
+// --------- Print sheet ---------
+/**
+ * Every rotation of a team as a mini court, laid out to fit one printed page
+ * (@media print in style.css hides the app and shows #printSheet).
+ * - "coach": names, the team's numbering, bench queues, warnings and drawings.
+ * - "scorekeeper": jersey numbers by standard position, the server and liberos.
+ */
+const PRINT_COPIES = {
+  coach: "Coach copy",
+  scorekeeper: "Scorekeeper copy",
+};
 
-  const name = (playerNameInput.value || "").trim();
-  if (name.length) p.name = name;
+function miniCourtSvg(team, rot, copy) {
+  const fmt = formatFor(team);
+  const standard = standardNumbers(fmt);
+  const svg = svgEl("svg", { viewBox: "50 190 900 1160", "font-family": CARD_FONT });
 
-  saveState();
-  closeModal();
-  render();
-});
-playerNameInput?.addEventListener("keydown", (e) => {
-  if (e.key === "Enter") btnSavePlayerName.click();
-  if (e.key === "Escape") closeModal();
-});
+  svg.appendChild(svgEl("rect", { x: 60, y: 220, width: 880, height: 1120, fill: "#fff", stroke: "#000", "stroke-width": 6 }));
+  svg.appendChild(svgEl("rect", { x: 50, y: 200, width: 900, height: 18, fill: "#000" }));
 
-// --------- Delete player ---------
-function deletePlayer(playerId) {
-  const team = getTeam();
-  const p = team.players.find(x => x.id === playerId);
-  if (!p) return;
+  courtZones(fmt).forEach(pos => {
+    const pts = quadForPos(rot.mesh, pos, fmt);
+    const c = centroid(pts);
+    svg.appendChild(svgEl("polygon", {
+      points: pts.map(p => `${p.x},${p.y}`).join(" "),
+      fill: "none", stroke: "#777", "stroke-width": 3, "stroke-dasharray": "12 10",
+    }));
+
+    const num = copy === "scorekeeper" ? standard[pos] : zoneNumber(team, pos);
+    svg.appendChild(svgEl("text", { x: pts[0].x + 18, y: pts[0].y + 56, fill: "#666", "font-size": 48, "font-weight": 700 }, String(num)));
+
+    const p = findPlayer(team, rot.positions[String(pos)]);
+    if (!p) return;
+    const libero = hasRole(p, "L") ? " (L)" : "";
+    if (copy === "scorekeeper") {
+      svg.appendChild(svgEl("text", {
+        x: c.x, y: c.y, fill: "#000", "font-size": 170, "font-weight": 900, "text-anchor": "middle", "dominant-baseline": "middle",
+      }, `${p.number}${libero}`));
+    } else {
+      svg.appendChild(svgEl("text", {
+        x: c.x, y: c.y - 30, fill: "#000", "font-size": 120, "font-weight": 900, "text-anchor": "middle", "dominant-baseline": "middle",
+      }, String(p.number)));
+      svg.appendChild(svgEl("text", {
+        x: c.x, y: c.y + 70, fill: "#000", "font-size": 58, "font-weight": 700, "text-anchor": "middle", "dominant-baseline": "middle",
+      }, tokenNameFor(p) + libero));
+    }
+  });
 
-  if (!confirm(`Delete player #${p.number} (${p.name})?\nThis removes them from the roster and all rotations.`)) return;
+  if (copy === "coach" && !rot.drawingsHidden) (rot.drawings || []).forEach(d => svg.appendChild(drawingElement(d)));
+  return svg;
+}
 
-  team.players = team.players.filter(x => x.id !== playerId);
+function renderPrintSheet(team, copy = "coach") {
+  if (!printSheet) return;
+  const fmt = formatFor(team);
+  const standard = standardNumbers(fmt);
+  const label = (pid) => {
+    const p = findPlayer(team, pid);
+    return p ? (copy === "scorekeeper" ? `#${p.number}` : `#${p.number} ${p.name}`) : "";
+  };
 
-  team.rotations.forEach(r => {
-    for (const k of Object.keys(r.positions || {})) {
-      if (r.positions[k] === playerId) r.positions[k] = null;
+  printSheet.innerHTML = "";
+
+  const head = document.createElement("div");
+  head.className = "printHead";
+  const title = document.createElement("div");
+  title.className = "printTitle";
+  title.textContent = `${team.name} — ${fmt.label}`;
+  const meta = document.createElement("div");
+  meta.textContent = `${PRINT_COPIES[copy]} • ${new Date().toLocaleDateString()}`;
+  head.appendChild(title);
+  head.appendChild(meta);
+  printSheet.appendChild(head);
+
+  const grid = document.createElement("div");
+  grid.className = "printGrid";
+  // Three across fits six rotations on a page; more rotations get narrower courts
+  grid.style.setProperty("--cols", String(team.rotations.length > 6 ? 4 : 3));
+
+  team.rotations.forEach(rot => {
+    const cell = document.createElement("div");
+    cell.className = "printRot";
+
+    const name = document.createElement("div");
+    name.className = "printRotName";
+    name.textContent = rot.name;
+    cell.appendChild(name);
+    cell.appendChild(miniCourtSvg(team, rot, copy));
+
+    const lines = [];
+    if (copy === "scorekeeper") {
+      const server = courtZones(fmt).find(pos => standard[pos] === 1);
+      lines.push(`Server: ${label(rot.positions[String(server)]) || "—"}`);
+      const liberos = team.players.filter(p => hasRole(p, "L")).map(p => `#${p.number}`);
+      if (liberos.length) lines.push(`Libero: ${liberos.join(", ")}`);
+    } else {
+      lines.push(`${benchName("left")}: ${rot.leftBench.map(label).join(" → ") || "—"}`);
+      lines.push(`${benchName("right")}: ${rot.rightBench.map(label).join(" → ") || "—"}`);
     }
-    removeFromArray(r.leftBench, playerId);
-    removeFromArray(r.rightBench, playerId);
-    normalizePlayerMembership(team, r);
+    lines.forEach(text => {
+      const line = document.createElement("div");
+      line.className = "printLine";
+      line.textContent = text;
+      cell.appendChild(line);
+    });
+
+    if (copy === "coach") {
+      rotationWarnings(team, rot).forEach(w => {
+        const warn = document.createElement("div");
+        warn.className = "printWarn";
+        warn.textContent = `⚠ ${w.text}`;
+        cell.appendChild(warn);
+      });
+    }
+
+    grid.appendChild(cell);
   });
 
-  saveState();
-  render();
+  printSheet.appendChild(grid);
+}
+
+function printRotations(copy) {
+  renderPrintSheet(getTeam(), copy);
+  window.print();
 }
 
 // --------- Drag & Drop ---------
 let drag = null; // { pid, from, ghostEl, offsetX, offsetY }
+let kbMove = null; // { pid, from, target } while a player is picked up from the keyboard
 
 function locatePlayer(rot, pid) {
   for (const k of Object.keys(rot.positions || {})) {
@@ -614,6 +3902,20 @@ function locatePlayer(rot, pid) {
   if (ri >= 0) return { type: "right", index: ri };
   return null;
 }
+// Where a player is in this rotation, as shown in the roster and read out to screen readers
+function whereText(team, rot, pid) {
+  const fmt = formatFor(team);
+  for (const k of Object.keys(rot.positions || {})) {
+    if (rot.positions[k] === pid) return `${zoneNumber(team, Number(k))}: ${zoneName(fmt, Number(k))}`;
+  }
+  const li = rot.leftBench.indexOf(pid);
+  if (li >= 0) return `${benchNumber(team, "left")}: Left Bench (#${li + 1})`;
+  const ri = rot.rightBench.indexOf(pid);
+  if (ri >= 0) return `${benchNumber(team, "right")}: Right Bench (#${ri + 1})`;
+  if (rot.libero?.held === pid) return pid === rot.libero.id ? "Libero (off)" : "Off for libero";
+  if (rot.out?.includes(pid)) return "Sitting out";
+  return "Unplaced";
+}
 function removeFromLocation(rot, loc, pid) {
   if (!loc) return;
   if (loc.type === "pos") rot.positions[String(loc.pos)] = null;
@@ -644,9 +3946,9 @@ function setSvgHover(posStr) {
   if (el) el.classList.add("hover");
 }
 
-function findHoveredCourtZone(rot, svgPt) {
-  for (const pos of COURT_POS) {
-    const poly = quadForPos(rot.mesh, pos);
+function findHoveredCourtZone(rot, svgPt, fmt) {
+  for (const pos of courtZones(fmt)) {
+    const poly = quadForPos(rot.mesh, pos, fmt);
     if (pointInPoly(svgPt, poly)) return pos;
   }
   return null;
@@ -657,17 +3959,29 @@ function makePlayerToken(team, rot, pid) {
   if (!p) return null;
 
   const token = document.createElement("div");
-  token.className = "playerToken";
+  token.className = "playerToken" + (hasRole(p, "L") ? " libero" : "") + (kbMove?.pid === pid ? " picked" : "");
   token.dataset.playerId = pid;
+  token.tabIndex = 0;
+  token.setAttribute("role", "button");
+  token.setAttribute("aria-label", tokenAriaLabel(team, rot, pid));
+  token.setAttribute("aria-describedby", "tokenHelp");
 
   const num = document.createElement("div");
   num.className = "tokenNum";
-  num.textContent = p.number;
+  if (p.photo && tokenFaceFor(team) === "photo") {
+    const img = document.createElement("img");
+    img.src = p.photo;
+    img.alt = "";
+    num.classList.add("photo");
+    num.appendChild(img);
+  } else {
+    num.textContent = p.number;
+  }
 
   const nm = document.createElement("div");
   nm.className = "tokenName";
-  nm.textContent = tokenLabelFor(p.name);
-  nm.title = p.name;
+  nm.textContent = tokenNameFor(p);
+  nm.title = [p.name, ...roleTagsFor(p).map(r => ROLES[r])].join(" · ");
 
   token.appendChild(num);
   token.appendChild(nm);
@@ -679,12 +3993,16 @@ function makePlayerToken(team, rot, pid) {
   });
 
   token.addEventListener("pointerdown", (e) => {
-    if (state.ui.editLayout) return;
+    if (state.ui.editLayout || playback) return;
     if (modalBackdrop && modalBackdrop.hidden === false) return;
     if (shareBackdrop && shareBackdrop.hidden === false) return;
 
     const loc = locatePlayer(rot, pid);
     if (!loc) return;
+    if (currentPhase() !== "base" && loc.type !== "pos") {
+      setStatus("Change the lineup in Zones");
+      return;
+    }
 
     token.setPointerCapture(e.pointerId);
 
@@ -722,6 +4040,10 @@ function makePlayerToken(team, rot, pid) {
 
   token.addEventListener("pointercancel", () => cancelDrag());
 
+  token.addEventListener("keydown", (e) => onTokenKeydown(e, pid));
+  token.addEventListener("keyup", (e) => { if (currentPhase() !== "base" && !kbMove) onNudgeKeyup(e); });
+  token.addEventListener("blur", () => { if (kbMove?.pid === pid) cancelKeyboardMove(); });
+
   return token;
 }
 
@@ -730,6 +4052,7 @@ function highlightTargetUnderPointer(e) {
 
   const team = getTeam();
   const rot = getRotation(team);
+  if (currentPhase() !== "base") return;
 
   const leftRect = leftBenchPanel?.getBoundingClientRect();
   const rightRect = rightBenchPanel?.getBoundingClientRect();
@@ -744,7 +4067,7 @@ function highlightTargetUnderPointer(e) {
   }
 
   const svgPt = clientToSvgPoint(e);
-  const z = findHoveredCourtZone(rot, svgPt);
+  const z = findHoveredCourtZone(rot, svgPt, formatFor(getTeam()));
   if (z) setSvgHover(String(z));
 }
 
@@ -762,89 +4085,298 @@ function finishDrop(e) {
   const rot = getRotation(team);
   const pid = drag.pid;
   const fromLoc = drag.from;
+  const ghostRect = drag.ghostEl?.getBoundingClientRect();
 
   if (drag.ghostEl) drag.ghostEl.remove();
   drag = null;
 
-  const leftRect = leftBenchPanel?.getBoundingClientRect();
-  const rightRect = rightBenchPanel?.getBoundingClientRect();
-
-  if (leftRect && isPointInRect(e.clientX, e.clientY, leftRect)) {
-    removeFromLocation(rot, fromLoc, pid);
-    addToBench(rot, "left", pid);
-    normalizePlayerMembership(team, rot);
-    saveState();
-    render();
-    return;
-  }
-  if (rightRect && isPointInRect(e.clientX, e.clientY, rightRect)) {
-    removeFromLocation(rot, fromLoc, pid);
-    addToBench(rot, "right", pid);
-    normalizePlayerMembership(team, rot);
-    saveState();
+  // Formation phases only move the token; the lineup itself is edited in Zones
+  const phase = currentPhase();
+  if (phase !== "base") {
+    if (fromLoc.type === "pos" && ghostRect) {
+      const center = { clientX: ghostRect.left + ghostRect.width / 2, clientY: ghostRect.top + ghostRect.height / 2 };
+      setPhaseSpot(rot, phase, fromLoc.pos, clientToSvgPoint(center));
+      saveState();
+    }
     render();
     return;
   }
 
-  const targetPos = findHoveredCourtZone(rot, clientToSvgPoint(e));
-  if (!targetPos) {
+  const leftRect = leftBenchPanel?.getBoundingClientRect();
+  const rightRect = rightBenchPanel?.getBoundingClientRect();
+
+  let target = null;
+  if (leftRect && isPointInRect(e.clientX, e.clientY, leftRect)) target = { type: "left" };
+  else if (rightRect && isPointInRect(e.clientX, e.clientY, rightRect)) target = { type: "right" };
+  else {
+    const pos = findHoveredCourtZone(rot, clientToSvgPoint(e), formatFor(team));
+    if (pos) target = { type: "pos", pos };
+  }
+  if (!target) {
     setStatus("No drop");
     render();
     return;
   }
 
-  const key = String(targetPos);
-  const existing = rot.positions[key] || null;
+  const swapped = movePlayer(team, rot, pid, fromLoc, target);
+  saveState();
+  render();
+  announce(moveSummary(team, rot, pid, swapped));
+}
 
+/**
+ * Drop a player on a court zone or bench ({ type: "pos", pos } | { type: "left" | "right" }).
+ * Whoever held the zone swaps into the spot the player came from; returns their id.
+ */
+function movePlayer(team, rot, pid, fromLoc, target) {
   removeFromLocation(rot, fromLoc, pid);
 
-  if (!existing) {
+  let swapped = null;
+  if (target.type === "pos") {
+    const key = String(target.pos);
+    const existing = rot.positions[key] || null;
     rot.positions[key] = pid;
+    if (existing && existing !== pid) {
+      swapped = existing;
+      if (fromLoc.type === "pos") rot.positions[String(fromLoc.pos)] = existing;
+      else addToBench(rot, fromLoc.type, existing);
+    }
   } else {
-    rot.positions[key] = pid;
-    if (fromLoc.type === "pos") rot.positions[String(fromLoc.pos)] = existing;
-    else if (fromLoc.type === "left") addToBench(rot, "left", existing);
-    else if (fromLoc.type === "right") addToBench(rot, "right", existing);
+    addToBench(rot, target.type, pid);
   }
 
+  // Dragging the libero to the front row or a bench brings the replaced player back
+  releaseLiberoOutsideBackRow(team, rot);
   normalizePlayerMembership(team, rot);
-  saveState();
-  render();
+  return swapped;
+}
+
+function playerLabel(team, pid) {
+  const p = findPlayer(team, pid);
+  return p ? `#${p.number} ${p.name}` : "Player";
+}
+
+function moveSummary(team, rot, pid, swapped) {
+  const text = `${playerLabel(team, pid)} to ${whereText(team, rot, pid)}.`;
+  return swapped ? `${text} ${playerLabel(team, swapped)} swapped to ${whereText(team, rot, swapped)}.` : text;
+}
+
+// --------- Keyboard moves ---------
+/**
+ * Tokens are buttons: Enter/Space picks a player up, arrows (or a zone number, L/R
+ * for the benches) choose the target, Enter/Space drops it there through movePlayer
+ * and Escape puts it back. In formation phases the arrows nudge the token instead.
+ */
+const NUDGE = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+
+function focusToken(pid) {
+  document.querySelector(`.playerToken[data-player-id="${pid}"]`)?.focus();
+}
+
+function tokenAriaLabel(team, rot, pid) {
+  return `${playerLabel(team, pid)}, ${whereText(team, rot, pid)}`;
+}
+
+function targetText(team, rot, target, pid) {
+  const fmt = formatFor(team);
+  if (target.type !== "pos") {
+    const queue = target.type === "left" ? rot.leftBench : rot.rightBench;
+    return `${benchName(target.type)}, ${queue.filter(x => x !== pid).length} waiting`;
+  }
+  const occupant = rot.positions[String(target.pos)];
+  const zone = `Zone ${zoneNumber(team, target.pos)} · ${zoneName(fmt, target.pos)}`;
+  if (!occupant) return `${zone}, empty`;
+  if (occupant === pid) return `${zone}, current spot`;
+  return `${zone}, swap with ${playerLabel(team, occupant)}`;
+}
+
+function showKeyboardTarget(target) {
+  clearHover();
+  if (target.type === "pos") setSvgHover(String(target.pos));
+  else (target.type === "left" ? leftBenchPanel : rightBenchPanel)?.classList.add("dropHover");
+}
+
+// Arrow-key walk over the format's grid; stepping off a side lands on that bench.
+function stepTarget(fmt, target, key) {
+  const grid = fmt.grid;
+  let r = target.row || 0;
+  let c = target.type === "left" ? -1 : grid[r].length;
+  if (target.type === "pos") {
+    r = grid.findIndex(row => row.includes(target.pos));
+    c = grid[r].indexOf(target.pos);
+  }
+
+  if (key === "ArrowUp" || key === "ArrowDown") {
+    r = clamp(r + (key === "ArrowUp" ? -1 : 1), 0, grid.length - 1);
+    if (target.type !== "pos") return { ...target, row: r };
+    c = Math.min(c, grid[r].length - 1);
+  }
+  if (key === "ArrowLeft") c--;
+  if (key === "ArrowRight") c++;
+
+  if (c < 0) return { type: "left", row: r };
+  if (c >= grid[r].length) return { type: "right", row: r };
+  return { type: "pos", pos: grid[r][c] };
+}
+
+function targetForKey(team, key) {
+  if (key === "l" || key === "L") return { type: "left" };
+  if (key === "r" || key === "R") return { type: "right" };
+  const pos = courtZones(formatFor(team)).find(p => String(zoneNumber(team, p)) === key);
+  if (pos) return { type: "pos", pos };
+  const side = ["left", "right"].find(sd => String(benchNumber(team, sd)) === key);
+  return side ? { type: side } : null;
+}
+
+function cancelKeyboardMove(silent = false) {
+  if (!kbMove) return;
+  document.querySelector(`.playerToken[data-player-id="${kbMove.pid}"]`)?.classList.remove("picked");
+  kbMove = null;
+  clearHover();
+  if (!silent) announce("Move cancelled.");
+}
+
+function onTokenKeydown(e, pid) {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  const team = getTeam();
+  const rot = getRotation(team);
+  const fmt = formatFor(team);
+  const phase = currentPhase();
+
+  if (kbMove?.pid === pid) {
+    let target = null;
+    if (NUDGE[e.key]) target = stepTarget(fmt, kbMove.target, e.key);
+    else if (e.key === "Escape") { e.preventDefault(); cancelKeyboardMove(); return; }
+    else if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      const move = kbMove;
+      kbMove = null;
+      clearHover();
+      if (move.target.type === "pos" || move.target.type !== move.from.type) {
+        const swapped = movePlayer(team, rot, pid, move.from, move.target);
+        saveState();
+        render();
+        announce(moveSummary(team, rot, pid, swapped));
+      } else {
+        render();
+        announce(`${playerLabel(team, pid)} stays on the ${benchName(move.target.type)}.`);
+      }
+      focusToken(pid);
+      return;
+    } else target = targetForKey(team, e.key);
+
+    if (!target) return;
+    e.preventDefault();
+    kbMove.target = target;
+    showKeyboardTarget(target);
+    announce(targetText(team, rot, target, pid));
+    return;
+  }
+
+  if (e.key === "e" || e.key === "E") {
+    e.preventDefault();
+    openPlayerModal(pid);
+    return;
+  }
+
+  const loc = locatePlayer(rot, pid);
+  if (!loc || state.ui.editLayout || playback) return;
+
+  if (phase !== "base" && NUDGE[e.key] && loc.type === "pos") {
+    e.preventDefault();
+    const [dx, dy] = NUDGE[e.key];
+    const step = e.shiftKey ? 5 : 20;
+    const spot = phaseSpot(rot, loc.pos, fmt);
+    setPhaseSpot(rot, phase, loc.pos, { x: spot.x + dx * step, y: spot.y + dy * step });
+    setStatus("Editing…");
+    render();
+    focusToken(pid);
+    return;
+  }
+
+  if (e.key !== "Enter" && e.key !== " ") return;
+  e.preventDefault();
+  if (phase !== "base") {
+    announce(loc.type === "pos" ? "Use the arrow keys to move the player in this formation." : "Change the lineup in Zones.");
+    return;
+  }
+
+  cancelKeyboardMove(true);
+  const target = loc.type === "pos" ? { type: "pos", pos: loc.pos } : { type: loc.type };
+  kbMove = { pid, from: loc, target };
+  e.currentTarget.classList.add("picked");
+  showKeyboardTarget(target);
+  announce(`Picked up ${playerLabel(team, pid)} from ${whereText(team, rot, pid)}. ` +
+    "Arrow keys or a zone number choose a spot, L and R the benches. Enter drops, Escape cancels.");
+}
+
+// Formation nudges and mesh keys save once the key is released, like a pointer drop
+function onNudgeKeyup(e) {
+  if (NUDGE[e.key]) saveState();
 }
 
 // --------- Zone editing: drag mesh points ---------
 let editDrag = null; // { key, pointerId }
 
-function renderZoneOverlay(team, rot) {
+function renderZoneOverlay(team, rot, warnings = [], overlaps = []) {
   zoneSvg.innerHTML = "";
+  const fmt = formatFor(team);
 
-  for (const pos of COURT_POS) {
-    const pts = quadForPos(rot.mesh, pos);
+  for (const pos of courtZones(fmt)) {
+    const pts = quadForPos(rot.mesh, pos, fmt);
     const ptsAttr = pts.map(p => `${p.x},${p.y}`).join(" ");
+    const zoneWarnings = warnings.filter(w => w.pos.includes(pos));
 
     const poly = document.createElementNS("http://www.w3.org/2000/svg", "polygon");
     poly.setAttribute("points", ptsAttr);
     poly.classList.add("zonePoly");
+    if (zoneWarnings.length) poly.classList.add("warn");
     poly.dataset.pos = String(pos);
+    const occupant = rot.positions[String(pos)];
+    poly.setAttribute("role", "img");
+    poly.setAttribute("aria-label", [
+      `Zone ${zoneNumber(team, pos)} · ${zoneName(fmt, pos)}: ${occupant ? playerLabel(team, occupant) : "empty"}`,
+      ...zoneWarnings.map(w => w.text),
+    ].join(". "));
     zoneSvg.appendChild(poly);
 
     const c = centroid(pts);
     const label = document.createElementNS("http://www.w3.org/2000/svg", "text");
     label.classList.add("zoneText");
+    label.setAttribute("aria-hidden", "true");
     label.setAttribute("x", c.x);
     label.setAttribute("y", c.y);
     label.setAttribute("text-anchor", "middle");
     label.setAttribute("dominant-baseline", "middle");
-    label.textContent =
-      pos === 1 ? "front left" :
-      pos === 2 ? "front middle" :
-      pos === 3 ? "front right" :
-      pos === 7 ? "back left" :
-      pos === 6 ? "back middle" :
-      "back right";
+    label.textContent = `${zoneNumber(team, pos)} · ${zoneName(fmt, pos).toLowerCase()}`;
     zoneSvg.appendChild(label);
+
+    zoneWarnings.forEach((w, i) => {
+      const warn = document.createElementNS("http://www.w3.org/2000/svg", "text");
+      warn.classList.add("zoneWarn");
+      warn.setAttribute("aria-hidden", "true");
+      warn.setAttribute("x", c.x);
+      warn.setAttribute("y", c.y + 80 + i * 30);
+      warn.setAttribute("text-anchor", "middle");
+      warn.setAttribute("dominant-baseline", "middle");
+      warn.textContent = `⚠ ${w.text}`;
+      zoneSvg.appendChild(warn);
+    });
   }
 
+  overlaps.forEach(v => {
+    const a = phaseSpot(rot, v.a, fmt);
+    const b = phaseSpot(rot, v.b, fmt);
+    const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+    line.classList.add("overlapLine");
+    line.setAttribute("aria-hidden", "true");
+    line.setAttribute("x1", a.x);
+    line.setAttribute("y1", a.y);
+    line.setAttribute("x2", b.x);
+    line.setAttribute("y2", b.y);
+    zoneSvg.appendChild(line);
+  });
+
   if (state.ui.editLayout) {
     for (const [key, p] of Object.entries(rot.mesh.pts)) {
       const locked = (key === "TL" || key === "TR" || key === "BL" || key === "BR");
@@ -853,8 +4385,27 @@ function renderZoneOverlay(team, rot) {
       dot.setAttribute("cx", p.x);
       dot.setAttribute("cy", p.y);
       dot.setAttribute("r", locked ? 0 : 12);
+      dot.dataset.key = key;
 
       if (!locked) {
+        dot.setAttribute("tabindex", "0");
+        dot.setAttribute("role", "button");
+        dot.setAttribute("aria-label", `Zone corner ${key} at ${Math.round(p.x)}, ${Math.round(p.y)}. Arrow keys move it, Shift for small steps.`);
+
+        dot.addEventListener("keydown", (e) => {
+          if (!NUDGE[e.key]) return;
+          e.preventDefault();
+          const [dx, dy] = NUDGE[e.key];
+          const step = e.shiftKey ? 2 : 10;
+          rot.mesh.pts[key].x += dx * step;
+          rot.mesh.pts[key].y += dy * step;
+          clampMesh(rot.mesh);
+          setStatus("Editing…");
+          render();
+          zoneSvg.querySelector(`.ctrlPt[data-key="${key}"]`)?.focus();
+        });
+        dot.addEventListener("keyup", onNudgeKeyup);
+
         dot.addEventListener("pointerdown", (e) => {
           e.preventDefault();
           dot.setPointerCapture(e.pointerId);
@@ -889,16 +4440,17 @@ function renderZoneOverlay(team, rot) {
 
 function renderCourtTokens(team, rot) {
   courtTokens.innerHTML = "";
+  const fmt = formatFor(team);
 
-  for (const pos of COURT_POS) {
+  for (const pos of courtZones(fmt)) {
     const pid = rot.positions[String(pos)];
     if (!pid) continue;
 
-    const pts = quadForPos(rot.mesh, pos);
-    const c = centroid(pts);
+    const c = phaseSpot(rot, pos, fmt);
 
     const wrap = document.createElement("div");
     wrap.className = "courtTokenWrap";
+    wrap.dataset.playerId = pid;
     wrap.style.left = `${(c.x / VB.w) * 100}%`;
     wrap.style.top = `${(c.y / VB.h) * 100}%`;
 
@@ -910,8 +4462,6 @@ function renderCourtTokens(team, rot) {
 }
 
 // --------- Rendering ---------
-tryLoadSharedState();
-render();
 
 function render() {
   ensureValidSelection();
@@ -923,6 +4473,14 @@ function render() {
   pillRotation.textContent = rot.name;
   if (chkEditLayout) chkEditLayout.checked = !!state.ui.editLayout;
 
+  const phase = currentPhase();
+  phaseInputs.forEach(el => { el.checked = el.value === phase; });
+  court?.classList.toggle("phaseMode", phase !== "base");
+  if (btnResetPhase) btnResetPhase.hidden = phase === "base" || !rot.formations?.[phase];
+  if (btnUndo) btnUndo.disabled = !!sharedView || !!playback || !undoHistory.undo.length;
+  if (btnRedo) btnRedo.disabled = !!sharedView || !!playback || !undoHistory.redo.length;
+  if (viewBanner) viewBanner.hidden = !sharedView;
+
   // Team dropdown
   teamSelect.innerHTML = "";
   state.teams.forEach(t => {
@@ -934,6 +4492,26 @@ function render() {
   teamSelect.value = team.id;
   teamName.value = team.name;
 
+  // Court format
+  const fmt = formatFor(team);
+  if (formatSelect) {
+    formatSelect.innerHTML = "";
+    FORMAT_KEYS.forEach(key => {
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = FORMATS[key].label;
+      formatSelect.appendChild(opt);
+    });
+    formatSelect.value = team.format || DEFAULT_FORMAT;
+  }
+  if (numberingSelect) numberingSelect.value = numberingFor(team);
+  if (tokenFaceSelect) tokenFaceSelect.value = tokenFaceFor(team);
+  if (leftBenchTag) leftBenchTag.textContent = benchNumber(team, "left");
+  if (rightBenchTag) rightBenchTag.textContent = benchNumber(team, "right");
+  const benchSub = benchRotates(fmt) ? "Front → Back" : "Not in the rotation";
+  if (leftBenchSub) leftBenchSub.textContent = benchSub;
+  if (rightBenchSub) rightBenchSub.textContent = benchSub;
+
   // Rotations list
   rotList.innerHTML = "";
   team.rotations.forEach(r => {
@@ -961,6 +4539,13 @@ function render() {
     left.appendChild(rn);
     left.appendChild(meta);
 
+    rotationWarnings(team, r).forEach(w => {
+      const warn = document.createElement("div");
+      warn.className = "rotWarn";
+      warn.textContent = `⚠ ${w.text}`;
+      left.appendChild(warn);
+    });
+
     const right = document.createElement("div");
     right.className = "rotMeta";
     right.textContent = "›";
@@ -986,22 +4571,17 @@ function render() {
   });
 
   // zones + tokens
-  renderZoneOverlay(team, rot);
+  const overlaps = overlapViolations(team, rot);
+  renderZoneOverlay(team, rot, rotationWarnings(team, rot), overlaps);
+  renderOverlaps(overlaps);
+  renderDrawings(rot);
+  drawToolInputs.forEach(el => { el.checked = el.value === (drawTool || ""); });
+  if (chkShowDrawings) chkShowDrawings.checked = !rot.drawingsHidden;
+  if (btnDrawUndo) btnDrawUndo.disabled = !drawUndo.get(rot.id)?.length;
   renderCourtTokens(team, rot);
 
   // roster list
   playersGrid.innerHTML = "";
-  const whereText = (pid) => {
-    for (const k of Object.keys(rot.positions || {})) {
-      if (rot.positions[k] === pid) return `${k}: ${POS[Number(k)]}`;
-    }
-    const li = rot.leftBench.indexOf(pid);
-    if (li >= 0) return `8: Left Bench (#${li + 1})`;
-    const ri = rot.rightBench.indexOf(pid);
-    if (ri >= 0) return `4: Right Bench (#${ri + 1})`;
-    return "Unplaced";
-  };
-
   team.players.forEach(p => {
     const row = document.createElement("div");
     row.className = "playerRow";
@@ -1014,16 +4594,32 @@ function render() {
     text.className = "playerText";
     text.textContent = p.name;
 
+    roleTagsFor(p).forEach(role => {
+      const tag = document.createElement("span");
+      tag.className = "roleTag";
+      tag.textContent = role;
+      tag.title = ROLES[role];
+      text.appendChild(tag);
+    });
+
     const status = document.createElement("div");
     status.className = "smallMut";
-    status.textContent = whereText(p.id);
+    status.textContent = whereText(team, rot, p.id);
 
     const editBtn = document.createElement("button");
     editBtn.className = "miniBtn";
     editBtn.textContent = "✎";
-    editBtn.title = "Edit name";
+    editBtn.title = "Edit player";
     editBtn.addEventListener("click", () => openPlayerModal(p.id));
 
+    const outBtn = document.createElement("button");
+    const sittingOut = !!rot.out?.includes(p.id);
+    outBtn.className = "miniBtn";
+    outBtn.textContent = sittingOut ? "↩" : "⏸";
+    outBtn.title = sittingOut ? "Back into the rotation" : "Sit out this rotation";
+    outBtn.hidden = rot.libero?.held === p.id;
+    outBtn.addEventListener("click", () => toggleSittingOut(p.id));
+
     const delBtn = document.createElement("button");
     delBtn.className = "miniBtn danger";
     delBtn.textContent = "🗑";
@@ -1033,15 +4629,28 @@ function render() {
     row.appendChild(badge);
     row.appendChild(text);
     row.appendChild(status);
+    row.appendChild(outBtn);
     row.appendChild(editBtn);
     row.appendChild(delBtn);
 
     playersGrid.appendChild(row);
   });
 
+  renderGame(team);
+  renderLibero(team, rot);
+  renderPlayback(team);
+
+  // Sync card
+  if (syncUrlInput && document.activeElement !== syncUrlInput) syncUrlInput.value = syncMeta.url || "";
+  if (btnSyncNow) btnSyncNow.disabled = !syncMeta.url;
+  if (syncInfo) {
+    const last = syncMeta.lastSyncAt ? new Date(syncMeta.lastSyncAt).toLocaleString() : "never";
+    syncInfo.textContent = `This device: ${syncMeta.deviceId.slice(0, 8)} • last merge: ${last}`;
+  }
+
   // Update share preview if share modal is open
   if (shareBackdrop && shareBackdrop.hidden === false) {
-    sharePreview.textContent = buildShareText();
+    sharePreview.textContent = buildShareTextFor(shareScope);
   }
 }
 
@@ -1071,7 +4680,9 @@ btnMobileMenu?.addEventListener("click", openDrawer);
 // --------- Share modal wiring ---------
 function openShare() {
   shareBackdrop.hidden = false;
-  sharePreview.textContent = buildShareText();
+  shareScopeInputs.forEach(el => { el.checked = el.value === shareScope; });
+  if (chkShareProfiles) chkShareProfiles.checked = shareProfiles;
+  sharePreview.textContent = buildShareTextFor(shareScope);
 }
 function closeShare() {
   shareBackdrop.hidden = true;
@@ -1080,6 +4691,13 @@ btnCloseShare?.addEventListener("click", (e) => { e.stopPropagation(); closeShar
 btnCloseShare2?.addEventListener("click", (e) => { e.stopPropagation(); closeShare(); });
 shareBackdrop?.addEventListener("click", (e) => { if (e.target === shareBackdrop) closeShare(); });
 
+shareScopeInputs.forEach(el => el.addEventListener("change", () => {
+  if (!el.checked) return;
+  shareScope = el.value;
+  sharePreview.textContent = buildShareTextFor(shareScope);
+}));
+chkShareProfiles?.addEventListener("change", () => { shareProfiles = chkShareProfiles.checked; });
+
 btnShare?.addEventListener("click", openShare);
 btnMobileShare?.addEventListener("click", openShare);
 
@@ -1095,9 +4713,9 @@ btnCopyShareLink?.addEventListener("click", async () => {
 });
 
 btnNativeShare?.addEventListener("click", async () => {
-  const url = buildShareUrl();
   const text = "View this lineup";
   try {
+    const url = buildShareUrl();
     if (!navigator.share) {
       await navigator.clipboard.writeText(url);
       setStatus("Copied (no Share sheet)");
@@ -1105,65 +4723,325 @@ btnNativeShare?.addEventListener("click", async () => {
     }
     await navigator.share({ title: "Volleyball Lineup", text, url });
     setStatus("Shared");
-  } catch {
-    // user cancelled -> ignore
+  } catch (e) {
+    // Closing the Share sheet rejects with AbortError; anything else is a real failure
+    if (e?.name === "AbortError") return;
+    console.error(e);
+    setStatus("Unable to share link");
+  }
+});
+
+btnCopyShareText?.addEventListener("click", async () => {
+  try {
+    const txt = buildShareTextFor(shareScope);
+    await navigator.clipboard.writeText(txt);
+    setStatus("Lineup text copied");
+  } catch (e) {
+    console.error(e);
+    alert("Unable to copy lineup text.");
+  }
+});
+
+btnShareImage?.addEventListener("click", async () => {
+  try {
+    const team = getTeam();
+    setStatus("Rendering image…");
+    const blob = await lineupCardPng(buildLineupCard(team, getRotation(team), cardLayout), cardLayout);
+    if (!blob) throw new Error("Image blob failed");
+
+    const file = new File([blob], "volleyball-lineup.png", { type: "image/png" });
+
+    // Try native share with file
+    if (navigator.canShare && navigator.canShare({ files: [file] }) && navigator.share) {
+      await navigator.share({
+        title: "Volleyball Lineup",
+        text: "Lineup image",
+        files: [file],
+      });
+      setStatus("Shared image");
+      return;
+    }
+
+    // Fallback: download
+    downloadBlob(blob, "volleyball-lineup.png");
+    setStatus("Downloaded image");
+  } catch (e) {
+    console.error(e);
+    alert("Unable to export image.");
+    setStatus("Saved");
+  }
+});
+
+btnShareSvg?.addEventListener("click", () => {
+  const team = getTeam();
+  const svg = buildLineupCard(team, getRotation(team), cardLayout);
+  downloadBlob(new Blob([svg], { type: "image/svg+xml" }), "volleyball-lineup.svg");
+  setStatus("Downloaded SVG");
+});
+
+cardLayoutInputs.forEach(el => el.addEventListener("change", () => {
+  if (el.checked) cardLayout = el.value;
+}));
+
+// --------- Backup modal wiring ---------
+function openExportModal() {
+  dataMode = { kind: "export" };
+  dataTitle.textContent = "Export teams";
+  dataHelp.textContent = "Pick the teams to save. The file can be imported on any device.";
+  btnConfirmData.textContent = "Export";
+  dataList.innerHTML = "";
+
+  state.teams.forEach(t => {
+    const row = document.createElement("label");
+    row.className = "dataRow";
+
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.value = t.id;
+    cb.checked = true;
+
+    const name = document.createElement("div");
+    name.className = "playerText";
+    name.textContent = t.name;
+
+    const meta = document.createElement("div");
+    meta.className = "smallMut";
+    meta.textContent = `${t.players.length} players • ${t.rotations.length} rotations`;
+
+    row.appendChild(cb);
+    row.appendChild(name);
+    row.appendChild(meta);
+    dataList.appendChild(row);
+  });
+
+  dataBackdrop.hidden = false;
+}
+
+function openImportPreview(data) {
+  const plan = planImport(data);
+  dataMode = { kind: "import", plan };
+  dataTitle.textContent = "Import teams";
+  dataHelp.textContent = plan.some(i => i.status === "conflict")
+    ? "Some teams already exist here with different data. Choose what to keep for each."
+    : "Teams are merged by ID; nothing on this device is removed.";
+  btnConfirmData.textContent = "Import";
+  dataList.innerHTML = "";
+
+  plan.forEach(item => {
+    const row = document.createElement("div");
+    row.className = "dataRow";
+
+    const name = document.createElement("div");
+    name.className = "playerText";
+    name.textContent = item.team.name;
+
+    row.appendChild(name);
+
+    if (item.status === "conflict") {
+      const sel = document.createElement("select");
+      sel.className = "select small";
+      [["theirs", "Use imported"], ["mine", "Keep mine"], ["both", "Keep both"]].forEach(([value, label]) => {
+        const opt = document.createElement("option");
+        opt.value = value;
+        opt.textContent = label;
+        sel.appendChild(opt);
+      });
+      sel.value = item.choice;
+      sel.addEventListener("change", () => { item.choice = sel.value; });
+      row.appendChild(sel);
+    } else {
+      const meta = document.createElement("div");
+      meta.className = "smallMut";
+      meta.textContent = item.status === "new" ? "New team" : "Already up to date";
+      row.appendChild(meta);
+    }
+
+    dataList.appendChild(row);
+  });
+
+  dataBackdrop.hidden = false;
+}
+
+function closeDataModal() {
+  dataBackdrop.hidden = true;
+  dataMode = null;
+}
+
+btnCloseData?.addEventListener("click", (e) => { e.stopPropagation(); closeDataModal(); });
+btnCancelData?.addEventListener("click", (e) => { e.stopPropagation(); closeDataModal(); });
+dataBackdrop?.addEventListener("click", (e) => { if (e.target === dataBackdrop) closeDataModal(); });
+
+btnExportData?.addEventListener("click", openExportModal);
+btnImportData?.addEventListener("click", () => importFileInput?.click());
+
+importFileInput?.addEventListener("change", async () => {
+  const file = importFileInput.files?.[0];
+  importFileInput.value = "";
+  if (!file) return;
+
+  try {
+    const data = migrateImport(JSON.parse(await file.text()));
+    openImportPreview(data);
+  } catch (e) {
+    console.error(e);
+    alert(`Unable to import that file.\n${e.message || e}`);
+  }
+});
+
+btnExportSync?.addEventListener("click", () => {
+  if (sharedView || playback) { alert("Leave the shared view or playback first."); return; }
+  const stamp = new Date().toISOString().slice(0, 10);
+  downloadBlob(new Blob([JSON.stringify(buildSyncBundle())], { type: "application/json" }), `volley-sync-${stamp}.json`);
+  writeState();
+  setStatus("Sync bundle exported");
+});
+btnMergeSync?.addEventListener("click", () => syncFileInput?.click());
+
+syncFileInput?.addEventListener("change", async () => {
+  const file = syncFileInput.files?.[0];
+  syncFileInput.value = "";
+  if (!file) return;
+
+  try {
+    finishSyncMerge(mergeSyncBundle(JSON.parse(await file.text())), "file");
+  } catch (e) {
+    console.error(e);
+    alert(`Unable to merge that file.\n${e.message || e}`);
   }
 });
 
-btnCopyShareText?.addEventListener("click", async () => {
+syncUrlInput?.addEventListener("change", () => {
+  syncMeta.url = syncUrlInput.value.trim();
+  writeState();
+  render();
+});
+
+btnSyncNow?.addEventListener("click", async () => {
+  if (!syncMeta.url) return;
+  btnSyncNow.disabled = true;
+  setStatus("Syncing…");
   try {
-    const txt = buildShareText();
-    await navigator.clipboard.writeText(txt);
-    setStatus("Lineup text copied");
+    await syncNow();
   } catch (e) {
     console.error(e);
-    alert("Unable to copy lineup text.");
+    setStatus("Sync failed");
+    alert(`Sync failed.\n${e.message || e}`);
+  } finally {
+    btnSyncNow.disabled = !syncMeta.url;
   }
 });
 
-btnShareImage?.addEventListener("click", async () => {
-  try {
-    // Capture court area + benches (playArea) so it feels like a "lineup card"
-    const el = playArea || courtWrap;
-    if (!el) throw new Error("Missing capture target");
+btnConfirmData?.addEventListener("click", () => {
+  if (!dataMode) return;
 
-    setStatus("Rendering image…");
-    const canvas = await html2canvas(el, {
-      backgroundColor: null,
-      scale: Math.min(2, window.devicePixelRatio || 1.5),
-      useCORS: true,
-    });
+  if (dataMode.kind === "export") {
+    const ids = Array.from(dataList.querySelectorAll("input:checked")).map(cb => cb.value);
+    if (!ids.length) { alert("Pick at least one team."); return; }
 
-    // Convert to blob
-    const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png", 1.0));
-    if (!blob) throw new Error("Image blob failed");
+    const json = JSON.stringify(buildExport(ids), null, 2);
+    const day = new Date().toISOString().slice(0, 10);
+    downloadBlob(new Blob([json], { type: "application/json" }), `volleyball-lineup-${day}.json`);
+    setStatus("Exported");
+  } else {
+    applyImport(dataMode.plan);
+  }
 
-    const file = new File([blob], "volleyball-lineup.png", { type: "image/png" });
+  closeDataModal();
+});
 
-    // Try native share with file
-    if (navigator.canShare && navigator.canShare({ files: [file] }) && navigator.share) {
-      await navigator.share({
-        title: "Volleyball Lineup",
-        text: "Lineup image",
-        files: [file],
-      });
-      setStatus("Shared image");
-      return;
-    }
+// --------- Shared link preview wiring ---------
+function pickedSharedRotation() {
+  const shared = pendingShare;
+  return shared?.rotations.find(r => r.id === linkRotationSelect.value) || shared?.rotations[0];
+}
 
-    // Fallback: download
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = "volleyball-lineup.png";
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    setStatus("Downloaded image");
-  } catch (e) {
-    console.error(e);
-    alert("Unable to export image.");
-    setStatus("Saved");
-  }
+function openLinkPreview(currentIndex = 0) {
+  const shared = pendingShare;
+
+  linkRotationSelect.innerHTML = "";
+  shared.rotations.forEach(r => {
+    const opt = document.createElement("option");
+    opt.value = r.id;
+    opt.textContent = r.name;
+    linkRotationSelect.appendChild(opt);
+  });
+  linkRotationSelect.value = (shared.rotations[currentIndex] || shared.rotations[0]).id;
+  linkRotationRow.hidden = shared.rotations.length < 2;
+  linkPreview.textContent = buildShareText(shared, pickedSharedRotation());
+
+  linkTeamSelect.innerHTML = "";
+  state.teams.forEach(t => {
+    const opt = document.createElement("option");
+    opt.value = t.id;
+    opt.textContent = t.name;
+    linkTeamSelect.appendChild(opt);
+  });
+  linkTeamSelect.value = (findMatchingTeam(shared) || getTeam() || state.teams[0]).id;
+
+  linkBackdrop.hidden = false;
+}
+
+function closeLinkPreview() {
+  linkBackdrop.hidden = true;
+  pendingShare = null;
+}
+
+linkRotationSelect?.addEventListener("change", () => {
+  if (pendingShare) linkPreview.textContent = buildShareText(pendingShare, pickedSharedRotation());
+});
+
+btnCloseLink?.addEventListener("click", (e) => { e.stopPropagation(); closeLinkPreview(); });
+linkBackdrop?.addEventListener("click", (e) => { if (e.target === linkBackdrop) closeLinkPreview(); });
+
+btnLinkNewTeam?.addEventListener("click", () => {
+  const team = pendingShare;
+  if (!team) return;
+  const rot = pickedSharedRotation();
+  closeLinkPreview();
+
+  state.teams.unshift(team);
+  state.currentTeamId = team.id;
+  state.currentRotationId = rot.id;
+  saveState();
+  render();
+  setStatus("Imported shared team");
+});
+
+btnLinkAddRotation?.addEventListener("click", () => {
+  const shared = pendingShare;
+  const team = state.teams.find(t => t.id === linkTeamSelect.value);
+  if (!shared || !team) return;
+  closeLinkPreview();
+
+  const rot = addSharedRotation(team, shared, pickedSharedRotation());
+  state.currentTeamId = team.id;
+  state.currentRotationId = rot.id;
+  saveState();
+  render();
+  setStatus("Added shared rotation");
+});
+
+btnLinkView?.addEventListener("click", () => {
+  const team = pendingShare;
+  if (!team) return;
+  const rot = pickedSharedRotation();
+  closeLinkPreview();
+  enterSharedView(team, rot.id);
+});
+
+btnExitSharedView?.addEventListener("click", exitSharedView);
+btnSaveSharedView?.addEventListener("click", () => {
+  if (!sharedView) return;
+  const team = getTeam();
+  const rotationId = state.currentRotationId;
+  exitSharedView();
+
+  state.teams.unshift(team);
+  state.currentTeamId = team.id;
+  state.currentRotationId = rotationId;
+  saveState();
+  render();
+  setStatus("Imported shared team");
 });
 
 // --------- UI wiring ---------
@@ -1176,6 +5054,34 @@ teamSelect?.addEventListener("change", () => {
   closeDrawerIfMobile();
 });
 
+formatSelect?.addEventListener("change", () => {
+  const team = getTeam();
+  const to = FORMATS[formatSelect.value];
+  if (!to || to === formatFor(team)) return;
+  if (!confirm(`Switch "${team.name}" to ${to.label}? Every rotation is re-seated in its current order and zone layouts are reset.`)) {
+    formatSelect.value = team.format || DEFAULT_FORMAT;
+    return;
+  }
+
+  setTeamFormat(team, formatSelect.value);
+  saveState();
+  render();
+});
+
+numberingSelect?.addEventListener("change", () => {
+  const team = getTeam();
+  team.settings = { ...(team.settings || {}), numbering: numberingSelect.value };
+  saveState();
+  render();
+});
+
+tokenFaceSelect?.addEventListener("change", () => {
+  const team = getTeam();
+  team.settings = { ...(team.settings || {}), tokenFace: tokenFaceSelect.value };
+  saveState();
+  render();
+});
+
 btnSaveTeam?.addEventListener("click", () => {
   const team = getTeam();
   const name = (teamName.value || "").trim();
@@ -1186,7 +5092,7 @@ btnSaveTeam?.addEventListener("click", () => {
 
 btnNewTeam?.addEventListener("click", () => {
   const name = prompt("Team name:", "New Team") || "";
-  const t = makeNewTeam(name.trim() || "New Team");
+  const t = makeNewTeam(name.trim() || "New Team", getTeam()?.format);
   state.teams.unshift(t);
   state.currentTeamId = t.id;
   state.currentRotationId = t.rotations[0].id;
@@ -1228,7 +5134,7 @@ btnAddPlayer?.addEventListener("click", () => {
 btnNewRotation?.addEventListener("click", () => {
   const team = getTeam();
   const next = team.rotations.length + 1;
-  const r = makeNewRotation(`Rotation ${next}`, team.players);
+  const r = makeNewRotation(`Rotation ${next}`, team.players, formatFor(team));
   team.rotations.push(r);
   state.currentRotationId = r.id;
   saveState();
@@ -1255,7 +5161,9 @@ btnCloneRotation?.addEventListener("click", () => {
     positions: JSON.parse(JSON.stringify(rot.positions || {})),
     leftBench: JSON.parse(JSON.stringify(rot.leftBench || [])),
     rightBench: JSON.parse(JSON.stringify(rot.rightBench || [])),
-    mesh: JSON.parse(JSON.stringify(rot.mesh || defaultMesh())),
+    mesh: JSON.parse(JSON.stringify(rot.mesh || defaultMesh(formatFor(team)))),
+    formations: JSON.parse(JSON.stringify(rot.formations || {})),
+    drawings: JSON.parse(JSON.stringify(rot.drawings || [])),
   };
 
   team.rotations.splice(team.rotations.findIndex(r => r.id === rot.id) + 1, 0, cloned);
@@ -1272,7 +5180,7 @@ btnDeleteRotation?.addEventListener("click", () => {
   if (!confirm(`Delete rotation "${rot.name}"?`)) return;
 
   team.rotations = team.rotations.filter(r => r.id !== rot.id);
-  if (!team.rotations.length) team.rotations = [makeNewRotation("Rotation 1", team.players)];
+  if (!team.rotations.length) team.rotations = [makeNewRotation("Rotation 1", team.players, formatFor(team))];
 
   state.currentRotationId = team.rotations[0].id;
   saveState();
@@ -1287,10 +5195,9 @@ function doRotateCW() {
   const rot = getRotation(team);
   if (!rot) { setStatus("No rotation selected"); return; }
 
-  rotateClockwise(rot);
-  normalizePlayerMembership(team, rot);
+  applyRotation(team, rot, "cw");
   saveState();
-  render();
+  animateTokens(render);
 }
 
 function doRotateCCW() {
@@ -1301,10 +5208,9 @@ function doRotateCCW() {
   const rot = getRotation(team);
   if (!rot) { setStatus("No rotation selected"); return; }
 
-  rotateCounterClockwise(rot);
-  normalizePlayerMembership(team, rot);
+  applyRotation(team, rot, "ccw");
   saveState();
-  render();
+  animateTokens(render);
 }
 
 
@@ -1329,17 +5235,469 @@ document.addEventListener("click", (e) => {
 btnResetLayout?.addEventListener("click", () => {
   const team = getTeam();
   const rot = getRotation(team);
-  rot.mesh = clampMesh(defaultMesh());
+  rot.mesh = clampMesh(defaultMesh(formatFor(team)));
+  saveState();
+  render();
+});
+
+drawToolInputs.forEach(el => el.addEventListener("change", () => {
+  if (!el.checked) return;
+  drawTool = DRAW_TOOLS[el.value] ? el.value : null;
+  render();
+}));
+btnDrawUndo?.addEventListener("click", undoDrawing);
+btnDrawClear?.addEventListener("click", clearDrawings);
+chkShowDrawings?.addEventListener("change", () => {
+  const rot = getRotation(getTeam());
+  rot.drawingsHidden = !chkShowDrawings.checked;
+  saveState();
+  render();
+});
+
+drawSvg?.addEventListener("pointerdown", (e) => {
+  if (!drawTool || playback) return;
+  e.preventDefault();
+  const rot = getRotation(getTeam());
+  const p = drawPoint(e);
+  const color = DRAW_COLORS[Number(drawColorSelect?.value) || 0];
+
+  if (drawTool === "text") {
+    const text = (prompt("Note:", "") || "").trim();
+    if (text) addDrawing(rot, { type: "text", color, x: p.x, y: p.y, text });
+    return;
+  }
+
+  drawSvg.setPointerCapture(e.pointerId);
+  const shape =
+    drawTool === "pen" ? { type: "pen", color, pts: [p] } :
+    drawTool === "arrow" ? { type: "arrow", color, x1: p.x, y1: p.y, x2: p.x, y2: p.y } :
+    { type: "circle", color, x: p.x, y: p.y, r: 0 };
+  drawStroke = { pointerId: e.pointerId, shape };
+});
+
+drawSvg?.addEventListener("pointermove", (e) => {
+  if (!drawStroke || drawStroke.pointerId !== e.pointerId) return;
+  const rot = getRotation(getTeam());
+  const p = drawPoint(e);
+  const d = drawStroke.shape;
+
+  if (d.type === "pen") {
+    const last = d.pts[d.pts.length - 1];
+    if (Math.hypot(p.x - last.x, p.y - last.y) >= 8) d.pts.push(p);
+  } else if (d.type === "arrow") {
+    d.x2 = p.x;
+    d.y2 = p.y;
+  } else {
+    d.r = Math.round(Math.hypot(p.x - d.x, p.y - d.y));
+  }
+  renderDrawings(rot, d);
+});
+
+drawSvg?.addEventListener("pointerup", (e) => {
+  if (!drawStroke || drawStroke.pointerId !== e.pointerId) return;
+  const d = drawStroke.shape;
+  drawStroke = null;
+
+  const big =
+    d.type === "pen" ? d.pts.length > 1 :
+    d.type === "arrow" ? Math.hypot(d.x2 - d.x1, d.y2 - d.y1) > 20 :
+    d.r > 10;
+  if (big) addDrawing(getRotation(getTeam()), d);
+  else render();
+});
+
+drawSvg?.addEventListener("pointercancel", () => { drawStroke = null; render(); });
+
+btnPlayback?.addEventListener("click", () => (playback ? stopPlayback() : startPlayback()));
+btnPlayPause?.addEventListener("click", togglePlayback);
+btnStopPlayback?.addEventListener("click", stopPlayback);
+btnStepPlayback?.addEventListener("click", () => {
+  if (!playback) return;
+  playback.playing = false;
+  clearTimeout(playback.timer);
+  stepPlayback();
+  render();
+});
+playbackMode?.addEventListener("change", () => startPlayback(playbackMode.value));
+playbackSpeed?.addEventListener("change", () => {
+  if (!playback) return;
+  playback.speed = Number(playbackSpeed.value) || 1;
+  schedulePlayback();
+});
+
+phaseInputs.forEach(el => el.addEventListener("change", () => {
+  if (el.checked) setPhase(el.value);
+}));
+
+btnResetPhase?.addEventListener("click", () => {
+  const team = getTeam();
+  const rot = getRotation(team);
+  const phase = currentPhase();
+  if (!rot.formations?.[phase]) return;
+  animateTokens(() => {
+    delete rot.formations[phase];
+    saveState();
+    render();
+  });
+});
+
+btnStartServe?.addEventListener("click", () => startGame("us"));
+btnStartReceive?.addEventListener("click", () => startGame("them"));
+btnPointUs?.addEventListener("click", () => recordRally("us"));
+btnPointThem?.addEventListener("click", () => recordRally("them"));
+btnNextSet?.addEventListener("click", startNextSet);
+btnEndGame?.addEventListener("click", endGame);
+
+// --------- Substitution modal wiring ---------
+function fillPlayerSelect(select, team, pids) {
+  select.innerHTML = "";
+  pids.forEach(pid => {
+    const p = findPlayer(team, pid);
+    if (!p) return;
+    const opt = document.createElement("option");
+    opt.value = pid;
+    opt.textContent = `#${p.number} ${p.name}`;
+    select.appendChild(opt);
+  });
+}
+
+function updateSubCheck() {
+  const team = getTeam();
+  const game = activeGame(team);
+  if (!game || !subOutSelect.value || !subInSelect.value) { subCheck.textContent = ""; return; }
+
+  const problems = checkSubstitution(team, currentSet(game), subOutSelect.value, subInSelect.value);
+  subCheck.classList.toggle("bad", problems.length > 0);
+  subCheck.textContent = problems.length ? problems.map(p => `⚠ ${p}`).join("\n") : "✓ Legal substitution";
+}
+
+function openSubModal() {
+  const team = getTeam();
+  const rot = getRotation(team);
+  if (!activeGame(team)) return;
+
+  fillPlayerSelect(subOutSelect, team, courtZones(formatFor(team)).map(pos => rot.positions[String(pos)]).filter(Boolean));
+  fillPlayerSelect(subInSelect, team, [...rot.leftBench, ...rot.rightBench]);
+  updateSubCheck();
+  subBackdrop.hidden = false;
+}
+function closeSubModal() {
+  subBackdrop.hidden = true;
+}
+
+btnOpenSub?.addEventListener("click", openSubModal);
+btnCloseSub?.addEventListener("click", (e) => { e.stopPropagation(); closeSubModal(); });
+btnCancelSub?.addEventListener("click", (e) => { e.stopPropagation(); closeSubModal(); });
+subBackdrop?.addEventListener("click", (e) => { if (e.target === subBackdrop) closeSubModal(); });
+subOutSelect?.addEventListener("change", updateSubCheck);
+subInSelect?.addEventListener("change", updateSubCheck);
+btnConfirmSub?.addEventListener("click", () => {
+  if (makeSubstitution(subOutSelect.value, subInSelect.value)) closeSubModal();
+});
+
+liberoSelect?.addEventListener("change", () => {
+  const team = getTeam();
+  const rot = getRotation(team);
+  setLibero(team, rot, liberoSelect.value || null);
+  saveState();
+  render();
+});
+
+btnOpenStats?.addEventListener("click", openStats);
+btnCloseStats?.addEventListener("click", (e) => { e.stopPropagation(); closeStats(); });
+btnCloseStats2?.addEventListener("click", (e) => { e.stopPropagation(); closeStats(); });
+statsBackdrop?.addEventListener("click", (e) => { if (e.target === statsBackdrop) closeStats(); });
+statsSeasonSelect?.addEventListener("change", renderStats);
+
+btnOpenFair?.addEventListener("click", openFairPlay);
+btnCloseFair?.addEventListener("click", (e) => { e.stopPropagation(); closeFairPlay(); });
+fairBackdrop?.addEventListener("click", (e) => { if (e.target === fairBackdrop) closeFairPlay(); });
+fairTurns?.addEventListener("change", scheduleFairPlay);
+btnFairAgain?.addEventListener("click", scheduleFairPlay);
+
+btnFairApply?.addEventListener("click", () => {
+  const team = getTeam();
+  if (!fairPlan?.playing.length) return;
+
+  const added = fairRotations(team, fairPlan, getRotation(team).mesh || defaultMesh(formatFor(team)));
+  added.forEach(r => normalizePlayerMembership(team, r));
+  team.rotations.push(...added);
+  state.currentRotationId = added[0].id;
+
+  saveState();
+  closeFairPlay();
+  render();
+  closeDrawerIfMobile();
+});
+
+btnImportRoster?.addEventListener("click", openRosterImport);
+btnCloseRoster?.addEventListener("click", (e) => { e.stopPropagation(); closeRosterImport(); });
+btnCancelRoster?.addEventListener("click", (e) => { e.stopPropagation(); closeRosterImport(); });
+rosterBackdrop?.addEventListener("click", (e) => { if (e.target === rosterBackdrop) closeRosterImport(); });
+rosterText?.addEventListener("input", () => updateRosterImport(true));
+rosterFormat?.addEventListener("change", () => updateRosterImport(true));
+rosterModeInputs.forEach(el => el.addEventListener("change", () => updateRosterImport(false)));
+rosterHeader?.addEventListener("change", () => {
+  rosterDraft.header = rosterHeader.checked;
+  updateRosterImport(false);
+});
+
+btnRosterFile?.addEventListener("click", () => rosterFileInput?.click());
+rosterFileInput?.addEventListener("change", async () => {
+  const file = rosterFileInput.files?.[0];
+  rosterFileInput.value = "";
+  if (!file) return;
+
+  try {
+    rosterText.value = (await file.text()).replace(/^\uFEFF/, "");
+    updateRosterImport(true);
+  } catch (e) {
+    console.error(e);
+    alert("Unable to read that file.");
+  }
+});
+
+btnConfirmRoster?.addEventListener("click", () => {
+  const team = getTeam();
+  const plan = rosterDraft?.plan;
+  if (!plan || plan.blocked) return;
+  if (plan.removed.length && !confirm(`Remove ${plan.removed.length} player(s) who aren't in the list?\nThey leave the roster and all rotations.`)) return;
+
+  const res = applyRosterImport(team, plan);
+  saveState();
+  closeRosterImport();
+  render();
+  setStatus(`Roster imported • ${res.added} added, ${res.updated} updated` + (res.removed ? `, ${res.removed} removed` : ""));
+});
+
+seasonInput?.addEventListener("change", () => {
+  const team = getTeam();
+  const season = seasonInput.value.trim();
+  team.settings = { ...(team.settings || {}), season: season || undefined };
+  saveState();
+  render();
+});
+
+subLimitInput?.addEventListener("change", () => {
+  const team = getTeam();
+  const n = Math.round(Number(subLimitInput.value));
+  if (!Number.isFinite(n) || n < 0) { subLimitInput.value = subLimitFor(team); return; }
+  team.settings = { ...(team.settings || {}), subLimit: n };
   saveState();
   render();
 });
 
+const selectedPrintCopy = () => printCopyInputs.find(el => el.checked)?.value || "coach";
+
+btnPrintSheet?.addEventListener("click", () => {
+  printRotations(selectedPrintCopy());
+  closeDrawerIfMobile();
+});
+// Browser print (Ctrl+P) gets the same sheet
+window.addEventListener("beforeprint", () => renderPrintSheet(getTeam(), selectedPrintCopy()));
+
+btnUndo?.addEventListener("click", undo);
+btnRedo?.addEventListener("click", redo);
+
+// Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y = redo (text fields keep their own undo)
+document.addEventListener("keydown", (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target?.closest?.("input, textarea, select")) return;
+  if ([modalBackdrop, shareBackdrop, dataBackdrop, linkBackdrop, subBackdrop, statsBackdrop, fairBackdrop, snapBackdrop, rosterBackdrop].some(el => el?.hidden === false)) return;
+
+  const k = e.key.toLowerCase();
+  if (k === "z" && !e.shiftKey) undo();
+  else if ((k === "z" && e.shiftKey) || k === "y") redo();
+  else return;
+  e.preventDefault();
+});
+
 chkEditLayout?.addEventListener("change", () => {
   state.ui.editLayout = !!chkEditLayout.checked;
   saveState();
   render();
 });
 
+// --------- Offline / updates ---------
+/**
+ * sw.js caches the app for offline use. A new version installs in the background
+ * and waits; the banner lets the coach choose when to reload into it.
+ */
+let waitingWorker = null;
+let updateAccepted = false;
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+
+  const offer = (worker) => {
+    if (!worker || !navigator.serviceWorker.controller) return; // first install, nothing to update
+    waitingWorker = worker;
+    if (updateBanner) updateBanner.hidden = false;
+  };
+
+  navigator.serviceWorker.register("sw.js").then(reg => {
+    offer(reg.waiting);
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      worker?.addEventListener("statechange", () => {
+        if (worker.state === "installed") offer(worker);
+      });
+    });
+  }).catch(e => console.error(e));
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (updateAccepted) location.reload();
+  });
+}
+
+btnApplyUpdate?.addEventListener("click", () => {
+  if (!waitingWorker) return;
+  updateAccepted = true;
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+});
+btnDismissUpdate?.addEventListener("click", () => {
+  if (updateBanner) updateBanner.hidden = true;
+});
+
+// --------- Snapshots modal wiring ---------
+function formatBytes(n) {
+  return n >= 1e6 ? `${(n / 1e6).toFixed(1)} MB` : `${Math.max(1, Math.round(n / 1e3))} kB`;
+}
+
+async function renderSnapshots() {
+  const list = await readSnapshots();
+  snapList.innerHTML = "";
+
+  list.forEach(snap => {
+    const teams = JSON.parse(snap.teams);
+    const row = document.createElement("div");
+    row.className = "dataRow";
+
+    const name = document.createElement("div");
+    name.className = "playerText";
+    name.textContent = new Date(snap.at).toLocaleString();
+
+    const meta = document.createElement("div");
+    meta.className = "smallMut";
+    meta.textContent = teams.map(t => `${t.name} (${t.rotations.length})`).join(", ");
+
+    const btn = document.createElement("button");
+    btn.className = "btn ghost small";
+    btn.textContent = "Restore";
+    btn.addEventListener("click", () => restoreSnapshot(snap));
+
+    row.appendChild(name);
+    row.appendChild(meta);
+    row.appendChild(btn);
+    snapList.appendChild(row);
+  });
+  if (!list.length) snapList.textContent = "No snapshots yet.";
+
+  snapUsage.textContent = `Saved in ${storage.backend.name === "indexeddb" ? "IndexedDB" : "localStorage"}`;
+  const est = await navigator.storage?.estimate?.().catch(() => null);
+  if (est?.quota) snapUsage.textContent += ` • using ${formatBytes(est.usage || 0)} of ${formatBytes(est.quota)}`;
+}
+
+function restoreSnapshot(snap) {
+  if (sharedView || playback) { alert("Leave the shared view or playback first."); return; }
+  if (!confirm(`Replace all teams with the snapshot from ${new Date(snap.at).toLocaleString()}?`)) return;
+  state.teams = JSON.parse(snap.teams);
+  saveState();
+  render();
+  closeSnapshots();
+  setStatus("Snapshot restored");
+}
+
+function openSnapshots() {
+  snapBackdrop.hidden = false;
+  renderSnapshots().catch(e => console.error(e));
+}
+function closeSnapshots() {
+  snapBackdrop.hidden = true;
+}
+
+btnOpenSnapshots?.addEventListener("click", openSnapshots);
+btnCloseSnap?.addEventListener("click", (e) => { e.stopPropagation(); closeSnapshots(); });
+btnCloseSnap2?.addEventListener("click", (e) => { e.stopPropagation(); closeSnapshots(); });
+snapBackdrop?.addEventListener("click", (e) => { if (e.target === snapBackdrop) closeSnapshots(); });
+
+btnTakeSnapshot?.addEventListener("click", async () => {
+  try {
+    await takeSnapshot();
+    setStatus("Snapshot saved");
+  } catch (e) {
+    console.error(e);
+    setStatus(isQuotaError(e) ? "Storage full • snapshot not saved" : "Snapshot failed");
+  }
+  renderSnapshots().catch(err => console.error(err));
+});
+
+btnStorageExport?.addEventListener("click", openExportModal);
+btnStorageRetry?.addEventListener("click", () => {
+  storage.dirty = true;
+  flushStorage();
+});
+
+// Write pending changes before the page goes away
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") flushStorage();
+});
+window.addEventListener("pagehide", flushStorage);
+
+/**
+ * Last resort when the stored teams can't be loaded or drawn: start over from a fresh team.
+ * The stored data is only replaced once a snapshot of it has been written; otherwise
+ * nothing is saved for the rest of the session.
+ */
+async function startFresh(e) {
+  console.error(e);
+  clearTimeout(storage.timer);
+  let kept = false;
+  if (storage.ready) {
+    try {
+      await takeSnapshot();
+      kept = true;
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  storage.ready = kept;
+  sharedView = null;
+  state = defaultState();
+  undoHistory = loadHistory();
+  historyBase = null;
+  if (kept) saveState();
+  render();
+  setStatus(kept
+    ? "Saved data could not be opened • kept as a snapshot"
+    : `Saved data could not be opened (${e?.message || e}) • changes are not saved`);
+}
+
+async function startApp() {
+  try {
+    await bootStorage();
+  } catch (e) {
+    return startFresh(e);
+  }
+
+  try {
+    render();
+  } catch (e) {
+    return startFresh(e);
+  }
+  saveState();
+
+  // A broken share link only costs the preview, never the stored teams
+  try {
+    tryLoadSharedState();
+  } catch (e) {
+    console.error("Invalid share payload", e);
+    closeLinkPreview();
+    setStatus("Invalid share link");
+  }
+}
+
 // init
-saveState();
-render();
+startApp();
+registerServiceWorker();
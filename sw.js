@@ -0,0 +1,52 @@
+/**
+ * Service worker: pre-caches the app shell and the vendored libraries so the app,
+ * sharing and image export keep working without signal.
+ * - Cache first for everything in SHELL; other same-origin GETs fall back to the network.
+ * - A new worker waits until the page asks it to take over (the "Update available"
+ *   banner), so a coach is never reloaded mid-game.
+ * - Bump CACHE_VERSION whenever a shell file changes, otherwise clients keep the old copy.
+ */
+const CACHE_VERSION = 24;
+const CACHE = `volley-lineup-v${CACHE_VERSION}`;
+const SHELL = [
+  "./",
+  "index.html",
+  "style.css",
+  "app.js",
+  "manifest.webmanifest",
+  "icon.svg",
+  "vendor/lz-string.min.js",
+];
+
+self.addEventListener("install", (e) => {
+  e.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL.map(url => new Request(url, { cache: "reload" })))));
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith("volley-lineup-") && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (e) => {
+  if (e.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  // Share links open as index.html?s=… (or #s=…); the query never changes the shell
+  if (req.mode === "navigate") {
+    e.respondWith(
+      caches.match(req, { ignoreSearch: true })
+        .then(hit => hit || caches.match("index.html"))
+        .then(hit => hit || fetch(req))
+    );
+    return;
+  }
+
+  e.respondWith(caches.match(req).then(hit => hit || fetch(req)));
+});
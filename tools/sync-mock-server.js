@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Minimal in-memory sync server for trying the app's HTTP sync backend locally.
+//
+//   node tools/sync-mock-server.js [port]      (default 8787)
+//
+// POST /sync/<space> with a sync bundle: merged into that space with the same rule
+// as the app (newest t wins, then higher device id, then the larger value) and the
+// merged bundle is sent back. GET /sync/<space> returns the current bundle.
+// Nothing is written to disk; restart the server to start over.
+const http = require("http");
+
+const SYNC_FORMAT = "volley-lineup-sync";
+const SYNC_VERSION = 2;
+const port = Number(process.argv[2]) || 8787;
+const spaces = new Map(); // space name -> { key: { t, dev, v } }
+
+function stableJson(v) {
+  if (Array.isArray(v)) return `[${v.map(stableJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableJson(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+function syncWins(a, b) {
+  if (a.t !== b.t) return a.t > b.t;
+  if (a.dev !== b.dev) return a.dev > b.dev;
+  return stableJson(a.v) > stableJson(b.v);
+}
+
+function merge(entities, incoming) {
+  Object.entries(incoming || {}).forEach(([key, raw]) => {
+    const rec = { t: Number(raw?.t) || 0, dev: String(raw?.dev || ""), v: raw?.v ?? null };
+    if (!entities[key] || syncWins(rec, entities[key])) entities[key] = rec;
+  });
+}
+
+function bundleFor(entities) {
+  return { format: SYNC_FORMAT, version: SYNC_VERSION, deviceId: "server", exportedAt: new Date().toISOString(), entities };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const match = req.url.match(/^\/sync\/([\w-]+)\/?$/);
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (!match) return send(res, 404, { error: "Use /sync/<space>" });
+
+  const space = match[1];
+  if (!spaces.has(space)) spaces.set(space, {});
+  const entities = spaces.get(space);
+
+  if (req.method === "GET") return send(res, 200, bundleFor(entities));
+  if (req.method !== "POST") return send(res, 405, { error: "GET or POST" });
+
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    try {
+      const bundle = JSON.parse(body);
+      if (bundle?.format !== SYNC_FORMAT) return send(res, 400, { error: "Not a sync bundle" });
+      merge(entities, bundle.entities);
+      console.log(`${new Date().toISOString()} ${space}: merged from ${bundle.deviceId} (${Object.keys(entities).length} entities)`);
+      send(res, 200, bundleFor(entities));
+    } catch (e) {
+      send(res, 400, { error: String(e.message || e) });
+    }
+  });
+});
+
+server.listen(port, () => console.log(`Sync mock server on http://localhost:${port}/sync/<space>`));